@@ -0,0 +1,89 @@
+'use strict';
+
+var util = require('util');
+
+// ADM rejects data payloads larger than this
+var MAX_DATA_BYTES = 6144;
+
+// Limits for expiresAfter in seconds, 60 seconds to 31 days
+var MIN_EXPIRES_AFTER = 60;
+var MAX_EXPIRES_AFTER = 2678400;
+
+exports.MAX_DATA_BYTES = MAX_DATA_BYTES;
+
+
+/**
+ * Build an ADM payload from a message and options. The message is sent as
+ * data.message, as it always has been. The collapseKey and ttl options are
+ * accepted in place of consolidationKey and expiresAfter.
+ * @param   {String} message
+ * @param   {Object} opts
+ * @return  {Object}
+ */
+
+exports.buildPayload = function(message, opts) {
+  var data = {}
+    , payload = {data: data}
+    , consolidationKey = opts.consolidationKey || opts.collapseKey
+    , expiresAfter = (opts.expiresAfter !== undefined) ?
+      opts.expiresAfter : opts.ttl;
+
+  if (message) {
+    data.message = message;
+  }
+
+  Object.keys(opts.data || {}).forEach(function(key) {
+    if (typeof opts.data[key] !== 'string') {
+      throw new Error(util.format('ADM data value "%s" must be a String.',
+        key));
+    }
+    data[key] = opts.data[key];
+  });
+
+  if (!Object.keys(data).length) {
+    throw new Error('An ADM message requires a message or data.');
+  }
+
+  if (consolidationKey) {
+    payload.consolidationKey = consolidationKey;
+  }
+
+  if (expiresAfter !== undefined) {
+    payload.expiresAfter = validateExpiresAfter(expiresAfter);
+  }
+
+  return payload;
+};
+
+
+/**
+ * Stringify an ADM payload, checking that its data is within the ADM size
+ * limit.
+ * @param   {Object} payload
+ * @return  {String}
+ */
+
+exports.stringify = function(payload) {
+  var bytes = Buffer.byteLength(JSON.stringify(payload.data || {}), 'utf8');
+
+  if (bytes > MAX_DATA_BYTES) {
+    throw new Error(util.format('ADM data is %d bytes, the maximum is %d ' +
+      'bytes.', bytes, MAX_DATA_BYTES));
+  }
+
+  return JSON.stringify(payload);
+};
+
+
+function validateExpiresAfter(expiresAfter) {
+  if (
+    typeof expiresAfter !== 'number' ||
+    expiresAfter < MIN_EXPIRES_AFTER ||
+    expiresAfter > MAX_EXPIRES_AFTER
+  ) {
+    throw new Error(util.format('ADM option "expiresAfter" must be a Number ' +
+      'of seconds from %d to %d.', MIN_EXPIRES_AFTER, MAX_EXPIRES_AFTER));
+  }
+
+  return expiresAfter;
+}
@@ -0,0 +1,144 @@
+'use strict';
+
+var util = require('util')
+  , compact = require('./compact');
+
+// APNs rejects notification payloads larger than this
+var MAX_PAYLOAD_BYTES = 4096;
+
+exports.MAX_PAYLOAD_BYTES = MAX_PAYLOAD_BYTES;
+
+
+/**
+ * Build an APNS payload from an alert body and options.
+ * @param   {String} body
+ * @param   {Object} opts
+ * @return  {Object}
+ */
+
+exports.buildPayload = function(body, opts) {
+  var aps = compact({
+    alert: buildAlert(body, opts),
+    badge: buildBadge(opts.badge),
+    sound: buildSound(opts.sound),
+    'content-available': opts.contentAvailable ? 1 : undefined,
+    'mutable-content': opts.mutableContent ? 1 : undefined,
+    category: opts.category,
+    'thread-id': opts.threadId
+  });
+
+  if (!Object.keys(aps).length) {
+    throw new Error('An APNS message requires an alert, badge, sound or ' +
+      'contentAvailable.');
+  }
+
+  var payload = {aps: aps};
+
+  Object.keys(opts.data || {}).forEach(function(key) {
+    if (key === 'aps') {
+      throw new Error('APNS custom data must not contain an "aps" key.');
+    }
+    payload[key] = opts.data[key];
+  });
+
+  return payload;
+};
+
+
+/**
+ * Stringify an APNS payload, checking that it's within the APNs size limit.
+ * @param   {Object} payload
+ * @return  {String}
+ */
+
+exports.stringify = function(payload) {
+  var json = JSON.stringify(payload);
+
+  validateSize(json);
+
+  return json;
+};
+
+
+/**
+ * Check that a stringified APNS payload is within the APNs size limit.
+ * @param {String} json
+ */
+
+function validateSize(json) {
+  var bytes = Buffer.byteLength(json, 'utf8');
+
+  if (bytes > MAX_PAYLOAD_BYTES) {
+    throw new Error(util.format('APNS payload is %d bytes, the maximum is ' +
+      '%d bytes.', bytes, MAX_PAYLOAD_BYTES));
+  }
+}
+
+exports.validateSize = validateSize;
+
+
+function buildAlert(body, opts) {
+  var alert = compact({
+    title: opts.title,
+    subtitle: opts.subtitle,
+    body: body || undefined,
+    'title-loc-key': opts.titleLocKey,
+    'title-loc-args': buildLocArgs('titleLocArgs', opts.titleLocArgs),
+    'subtitle-loc-key': opts.subtitleLocKey,
+    'subtitle-loc-args': buildLocArgs('subtitleLocArgs', opts.subtitleLocArgs),
+    'loc-key': opts.locKey,
+    'loc-args': buildLocArgs('locArgs', opts.locArgs)
+  });
+
+  var keys = Object.keys(alert);
+
+  if (!keys.length) {
+    return undefined;
+  }
+
+  // A plain body is sent as a string, as it always has been
+  return (keys.length === 1 && alert.body) ? alert.body : alert;
+}
+
+
+function buildLocArgs(name, args) {
+  if (args !== undefined && !Array.isArray(args)) {
+    throw new Error(util.format('APNS option "%s" must be an Array.', name));
+  }
+
+  return args && args.map(String);
+}
+
+
+function buildBadge(badge) {
+  if (badge !== undefined && typeof badge !== 'number') {
+    throw new Error('APNS option "badge" must be a Number.');
+  }
+
+  return badge;
+}
+
+
+function buildSound(sound) {
+  if (sound === undefined || typeof sound === 'string') {
+    return sound;
+  }
+
+  if (!sound || typeof sound.name !== 'string') {
+    throw new Error('APNS option "sound" must be a String or an Object ' +
+      'with a name.');
+  }
+
+  if (
+    sound.volume !== undefined &&
+    (typeof sound.volume !== 'number' || sound.volume < 0 || sound.volume > 1)
+  ) {
+    throw new Error('APNS sound volume must be a Number from 0 to 1.');
+  }
+
+  return compact({
+    critical: sound.critical ? 1 : 0,
+    name: sound.name,
+    volume: sound.volume
+  });
+}
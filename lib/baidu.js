@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Build a Baidu payload from a message and options. The message is used as
+ * the notification description.
+ * @param   {String} message
+ * @param   {Object} opts     title, data
+ * @return  {Object}
+ */
+
+exports.buildPayload = function(message, opts) {
+  if (!message && !opts.title) {
+    throw new Error('A Baidu message requires a message or title.');
+  }
+
+  var payload = {
+    title: opts.title || '',
+    description: message || ''
+  };
+
+  if (opts.data) {
+    payload['custom_content'] = opts.data;
+  }
+
+  return payload;
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+module.exports = MemoryCheckpointStore;
+
+var async = require('async')
+  , copy = require('./copy');
+
+/**
+ * @constructor
+ * Keeps broadcast checkpoints in memory. Checkpoints will not survive a
+ * restart, so stores backed by a database or file should be used to resume
+ * broadcasts after a crash. Custom stores must implement save and remove.
+ * @return  {MemoryCheckpointStore}
+ */
+
+function MemoryCheckpointStore() {
+  this.checkpoints = {};
+}
+
+
+/**
+ * Save the latest checkpoint for a broadcast.
+ * @param {Object}    checkpoint
+ * @param {Function}  callback
+ */
+
+MemoryCheckpointStore.prototype.save = function(checkpoint, callback) {
+  this.checkpoints[checkpoint.broadcastId] = copy(checkpoint);
+  async.setImmediate(callback);
+};
+
+
+/**
+ * Load the latest checkpoint for a broadcast, or null if there is none.
+ * @param {String}    broadcastId
+ * @param {Function}  callback
+ */
+
+MemoryCheckpointStore.prototype.load = function(broadcastId, callback) {
+  var checkpoint = this.checkpoints[broadcastId];
+
+  async.setImmediate(function() {
+    callback(null, checkpoint ? copy(checkpoint) : null);
+  });
+};
+
+
+/**
+ * Remove the checkpoint for a finished broadcast.
+ * @param {String}    broadcastId
+ * @param {Function}  callback
+ */
+
+MemoryCheckpointStore.prototype.remove = function(broadcastId, callback) {
+  delete this.checkpoints[broadcastId];
+  async.setImmediate(callback);
+};
+
+
+/**
+ * List the checkpoints of all unfinished broadcasts.
+ * @param {Function}  callback
+ */
+
+MemoryCheckpointStore.prototype.list = function(callback) {
+  var checkpoints = this.checkpoints;
+
+  async.setImmediate(function() {
+    callback(null, Object.keys(checkpoints).map(function(broadcastId) {
+      return copy(checkpoints[broadcastId]);
+    }));
+  });
+};
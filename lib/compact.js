@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Remove undefined values from an object.
+ * @param   {Object} obj
+ * @return  {Object}
+ */
+
+function compact(obj) {
+  Object.keys(obj).forEach(function(key) {
+    if (obj[key] === undefined) {
+      delete obj[key];
+    }
+  });
+
+  return obj;
+}
+
+module.exports = compact;
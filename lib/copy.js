@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Deep copy a JSON serialisable value.
+ * @param   {Mixed} obj
+ * @return  {Mixed}
+ */
+
+function copy(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+module.exports = copy;
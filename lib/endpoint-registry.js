@@ -0,0 +1,128 @@
+'use strict';
+
+module.exports = MemoryEndpointRegistry;
+
+var async = require('async');
+
+/**
+ * @constructor
+ * Keeps an index of endpoints by user id and by token in memory. The index
+ * will not survive a restart, so registries backed by a database such as
+ * Redis or SQL should be used in production. Custom registries must
+ * implement save, remove, findByUser and findByToken.
+ * @return  {MemoryEndpointRegistry}
+ */
+
+function MemoryEndpointRegistry() {
+  this.endpoints = {};
+  this.users = {};
+  this.tokens = {};
+}
+
+
+/**
+ * Save the Token and/or userId of an endpoint. Fields that aren't given keep
+ * their current value, a null userId removes the endpoint from its user.
+ * @param {String}    endpointArn
+ * @param {Object}    fields        Token, userId
+ * @param {Function}  callback
+ */
+
+MemoryEndpointRegistry.prototype.save =
+  function(endpointArn, fields, callback) {
+    var endpoint = this.endpoints[endpointArn] || {};
+
+    this._unindex(endpointArn);
+
+    ['Token', 'userId'].forEach(function(field) {
+      if (fields[field] !== undefined) {
+        endpoint[field] = fields[field];
+      }
+    });
+
+    this.endpoints[endpointArn] = endpoint;
+    this._index(endpointArn);
+    async.setImmediate(callback);
+  };
+
+
+/**
+ * Remove an endpoint from the registry.
+ * @param {String}    endpointArn
+ * @param {Function}  callback
+ */
+
+MemoryEndpointRegistry.prototype.remove = function(endpointArn, callback) {
+  this._unindex(endpointArn);
+  delete this.endpoints[endpointArn];
+  async.setImmediate(callback);
+};
+
+
+/**
+ * Find the EndpointArns of a user. The callback receives an empty Array if
+ * the user has none.
+ * @param {String}    userId
+ * @param {Function}  callback
+ */
+
+MemoryEndpointRegistry.prototype.findByUser = function(userId, callback) {
+  var endpointArns = (this.users[userId] || []).slice();
+
+  async.setImmediate(function() {
+    callback(null, endpointArns);
+  });
+};
+
+
+/**
+ * Find the EndpointArn for a token, or null if there is none.
+ * @param {String}    token
+ * @param {Function}  callback
+ */
+
+MemoryEndpointRegistry.prototype.findByToken = function(token, callback) {
+  var endpointArn = this.tokens[token] || null;
+
+  async.setImmediate(function() {
+    callback(null, endpointArn);
+  });
+};
+
+
+MemoryEndpointRegistry.prototype._index = function(endpointArn) {
+  var endpoint = this.endpoints[endpointArn];
+
+  if (endpoint.Token) {
+    this.tokens[endpoint.Token] = endpointArn;
+  }
+
+  if (endpoint.userId != null) {
+    this.users[endpoint.userId] = (this.users[endpoint.userId] || [])
+      .concat(endpointArn);
+  }
+};
+
+
+MemoryEndpointRegistry.prototype._unindex = function(endpointArn) {
+  var endpoint = this.endpoints[endpointArn]
+    , userEndpoints;
+
+  if (!endpoint) {
+    return;
+  }
+
+  if (this.tokens[endpoint.Token] === endpointArn) {
+    delete this.tokens[endpoint.Token];
+  }
+
+  userEndpoints = (this.users[endpoint.userId] || []).filter(function(arn) {
+    return arn !== endpointArn;
+  });
+
+  if (userEndpoints.length) {
+    this.users[endpoint.userId] = userEndpoints;
+  } else {
+    delete this.users[endpoint.userId];
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Copy the own enumerable properties of each source onto target.
+ * @param   {Object} target
+ * @param   {...Object} sources
+ * @return  {Object}
+ */
+
+function extend(target) {
+  Array.prototype.slice.call(arguments, 1).forEach(function(source) {
+    Object.keys(source || {}).forEach(function(key) {
+      target[key] = source[key];
+    });
+  });
+
+  return target;
+}
+
+module.exports = extend;
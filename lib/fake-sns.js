@@ -0,0 +1,806 @@
+'use strict';
+
+module.exports = FakeSNS;
+
+var async = require('async')
+  , util = require('util')
+  , crypto = require('crypto')
+  , extend = require('./extend')
+  , copy = require('./copy');
+
+// Messages used for errors injected by code, matching those SNS returns
+var ERROR_MESSAGES = {
+  EndpointDisabled: 'Endpoint is disabled',
+  Throttling: 'Rate exceeded',
+  InternalError: 'Internal Error',
+  ServiceUnavailable: 'Service Unavailable',
+  NotFound: 'Resource does not exist',
+  InvalidParameter: 'Invalid parameter',
+  AuthorizationError: 'User is not authorized to perform this action'
+};
+
+var RETRYABLE_ERRORS = ['Throttling', 'InternalError', 'ServiceUnavailable'];
+
+// Protocols whose subscriptions must be confirmed by their endpoint
+var CONFIRMED_PROTOCOLS = ['http', 'https', 'email', 'email-json'];
+
+/**
+ * @constructor
+ * In-memory stand-in for AWS.SNS that implements every SNS call used by the
+ * library, so an Interface can be tested without network access. Pass an
+ * instance as the sns option. Every publish is recorded in published and
+ * each message delivered to an endpoint, including those fanned out from a
+ * topic, is recorded in delivered. Endpoints created for an unknown
+ * PlatformApplicationArn create the application.
+ * @param   {Object} [opts]   pageSize, region, accountId
+ * @return  {FakeSNS}
+ */
+
+function FakeSNS(opts) {
+  opts = opts || {};
+
+  this.pageSize = opts.pageSize || 100;
+  this.config = {
+    region: opts.region || 'us-east-1',
+    apiVersion: '2010-03-31'
+  };
+  this.accountId = opts.accountId || '123456789012';
+  this.applications = {};
+  this.endpoints = {};
+  this.topics = {};
+  this.subscriptions = {};
+  this.smsAttributes = {};
+  this.optedOut = [];
+  this.published = [];
+  this.delivered = [];
+  this.errors = [];
+}
+
+
+/**
+ * Make calls to an operation fail with an error. The error can be an SNS
+ * error code, e.g. EndpointDisabled or Throttling, or an Error.
+ * @param {String}        operation   e.g. publish
+ * @param {String|Error}  error
+ * @param {Object}        [opts]      times, the number of calls to fail
+ *                                    (defaults to 1, or Infinity), and when,
+ *                                    fn(params) to only fail some calls
+ */
+
+FakeSNS.prototype.injectError = function(operation, error, opts) {
+  opts = opts || {};
+
+  this.errors.push({
+    operation: operation,
+    error: error,
+    times: opts.times || 1,
+    when: opts.when || null
+  });
+};
+
+
+/**
+ * Disable an endpoint, as SNS does when the push service rejects its token.
+ * Publishing to it then fails with EndpointDisabled.
+ * @param {String}  endpointArn
+ */
+
+FakeSNS.prototype.disableEndpoint = function(endpointArn) {
+  this._getEndpoint(endpointArn).Attributes.Enabled = 'false';
+};
+
+
+/**
+ * Opt a phone number out of receiving SMS messages.
+ * @param {String}  phoneNumber
+ */
+
+FakeSNS.prototype.optOut = function(phoneNumber) {
+  if (this.optedOut.indexOf(phoneNumber) === -1) {
+    this.optedOut.push(phoneNumber);
+  }
+};
+
+
+/**
+ * Returns the messages delivered to an endpoint, which can be an
+ * EndpointArn, a subscription endpoint such as a URL, or a phone number.
+ * @param   {String} endpoint
+ * @return  {Array}
+ */
+
+FakeSNS.prototype.getDeliveries = function(endpoint) {
+  return this.delivered.filter(function(delivery) {
+    return delivery.Endpoint === endpoint;
+  });
+};
+
+
+/**
+ * Run an operation, passing an injected error or the result of the handler
+ * to the callback asynchronously, as AWS.SNS does.
+ * @param {String}    operation
+ * @param {Object}    params
+ * @param {Function}  callback
+ * @param {Function}  handler     fn(params) that returns the result or
+ *                                throws an SNS error
+ */
+
+FakeSNS.prototype._respond = function(operation, params, callback, handler) {
+  var err = this._takeError(operation, params || {})
+    , res = null;
+
+  if (!err) {
+    try {
+      res = handler.call(this, params || {});
+    } catch (e) {
+      err = e;
+    }
+  }
+
+  async.setImmediate(function() {
+    callback(err, err ? null : copy(res || {}));
+  });
+};
+
+
+FakeSNS.prototype._takeError = function(operation, params) {
+  var injected = this.errors.filter(function(entry) {
+    return entry.operation === operation && (!entry.when || entry.when(params));
+  })[0];
+
+  if (!injected) {
+    return null;
+  }
+
+  injected.times--;
+  if (injected.times <= 0) {
+    this.errors.splice(this.errors.indexOf(injected), 1);
+  }
+
+  return (injected.error instanceof Error) ?
+    injected.error : createError(injected.error);
+};
+
+
+FakeSNS.prototype._arn = function(resource) {
+  return util.format('arn:aws:sns:%s:%s:%s', this.config.region,
+    this.accountId, resource);
+};
+
+
+/**
+ * Get a page of keys. Like the NextToken of SNS, the token is a cursor, the
+ * last key of the previous page, so deleting keys while paging doesn't skip
+ * any of those that remain. Keys are listed in sorted order so that paging
+ * can resume after a key that has since been deleted.
+ * @param   {Array}  keys
+ * @param   {String} [nextToken]
+ * @return  {Object}  items and NextToken
+ */
+
+FakeSNS.prototype._page = function(keys, nextToken) {
+  var after = nextToken ?
+      Buffer.from(nextToken, 'base64').toString('utf8') : null
+    , remaining = keys.slice().sort().filter(function(key) {
+      return after === null || key > after;
+    })
+    , items = remaining.slice(0, this.pageSize);
+
+  return {
+    items: items,
+    NextToken: (remaining.length > items.length) ?
+      Buffer.from(items[items.length - 1], 'utf8').toString('base64') :
+      undefined
+  };
+};
+
+
+// Platform applications
+
+FakeSNS.prototype.createPlatformApplication = function(params, callback) {
+  this._respond('createPlatformApplication', params, callback, function() {
+    var arn = this._arn(util.format('app/%s/%s', params.Platform, params.Name));
+
+    this.applications[arn] = this.applications[arn] || {
+      PlatformApplicationArn: arn,
+      Platform: params.Platform,
+      Name: params.Name,
+      Attributes: {Enabled: 'true'}
+    };
+    extend(this.applications[arn].Attributes, params.Attributes);
+
+    return {PlatformApplicationArn: arn};
+  });
+};
+
+
+FakeSNS.prototype.getPlatformApplicationAttributes =
+  function(params, callback) {
+    this._respond('getPlatformApplicationAttributes', params, callback,
+      function() {
+        return {
+          Attributes: this._getApplication(params.PlatformApplicationArn)
+            .Attributes
+        };
+      });
+  };
+
+
+FakeSNS.prototype.setPlatformApplicationAttributes =
+  function(params, callback) {
+    this._respond('setPlatformApplicationAttributes', params, callback,
+      function() {
+        extend(this._getApplication(params.PlatformApplicationArn).Attributes,
+          params.Attributes);
+      });
+  };
+
+
+FakeSNS.prototype.deletePlatformApplication = function(params, callback) {
+  this._respond('deletePlatformApplication', params, callback, function() {
+    var arn = params.PlatformApplicationArn
+      , endpoints = this.endpoints;
+
+    delete this.applications[arn];
+    Object.keys(endpoints).forEach(function(endpointArn) {
+      if (endpoints[endpointArn].PlatformApplicationArn === arn) {
+        delete endpoints[endpointArn];
+      }
+    });
+  });
+};
+
+
+FakeSNS.prototype.listPlatformApplications = function(params, callback) {
+  this._respond('listPlatformApplications', params, callback, function() {
+    var applications = this.applications
+      , page = this._page(Object.keys(applications), params.NextToken);
+
+    return {
+      PlatformApplications: page.items.map(function(arn) {
+        return {
+          PlatformApplicationArn: arn,
+          Attributes: applications[arn].Attributes
+        };
+      }),
+      NextToken: page.NextToken
+    };
+  });
+};
+
+
+FakeSNS.prototype._getApplication = function(arn) {
+  if (!this.applications[arn]) {
+    throw createError('NotFound', 'PlatformApplication does not exist');
+  }
+
+  return this.applications[arn];
+};
+
+
+// Endpoints
+
+FakeSNS.prototype.createPlatformEndpoint = function(params, callback) {
+  this._respond('createPlatformEndpoint', params, callback, function() {
+    var application = this._getOrCreateApplication(
+        params.PlatformApplicationArn)
+      , existing = this._findEndpoint(params.PlatformApplicationArn,
+        params.Token);
+
+    if (existing) {
+      if ((existing.Attributes.CustomUserData || undefined) !==
+        (params.CustomUserData || undefined)) {
+        throw createError('InvalidParameter', util.format('Invalid ' +
+          'parameter: Token Reason: Endpoint %s already exists with the ' +
+          'same Token, but different attributes.', existing.EndpointArn));
+      }
+
+      return {EndpointArn: existing.EndpointArn};
+    }
+
+    var arn = this._arn(util.format('endpoint/%s/%s/%s', application.Platform,
+      application.Name, createId()));
+
+    this.endpoints[arn] = {
+      EndpointArn: arn,
+      PlatformApplicationArn: params.PlatformApplicationArn,
+      Attributes: extend({
+        Token: params.Token,
+        Enabled: 'true'
+      }, params.CustomUserData ? {CustomUserData: params.CustomUserData} : {})
+    };
+
+    return {EndpointArn: arn};
+  });
+};
+
+
+FakeSNS.prototype.getEndpointAttributes = function(params, callback) {
+  this._respond('getEndpointAttributes', params, callback, function() {
+    return {Attributes: this._getEndpoint(params.EndpointArn).Attributes};
+  });
+};
+
+
+FakeSNS.prototype.setEndpointAttributes = function(params, callback) {
+  this._respond('setEndpointAttributes', params, callback, function() {
+    extend(this._getEndpoint(params.EndpointArn).Attributes, params.Attributes);
+  });
+};
+
+
+FakeSNS.prototype.deleteEndpoint = function(params, callback) {
+  this._respond('deleteEndpoint', params, callback, function() {
+    delete this.endpoints[params.EndpointArn];
+  });
+};
+
+
+FakeSNS.prototype.listEndpointsByPlatformApplication =
+  function(params, callback) {
+    this._respond('listEndpointsByPlatformApplication', params, callback,
+      function() {
+        var endpoints = this.endpoints
+          , arns = Object.keys(endpoints).filter(function(arn) {
+            return endpoints[arn].PlatformApplicationArn ===
+              params.PlatformApplicationArn;
+          })
+          , page = this._page(arns, params.NextToken);
+
+        return {
+          Endpoints: page.items.map(function(arn) {
+            return {
+              EndpointArn: arn,
+              Attributes: endpoints[arn].Attributes
+            };
+          }),
+          NextToken: page.NextToken
+        };
+      });
+  };
+
+
+FakeSNS.prototype._getOrCreateApplication = function(arn) {
+  var match = /app\/([^\/]+)\/([^\/]+)$/.exec(arn || '');
+
+  this.applications[arn] = this.applications[arn] || {
+    PlatformApplicationArn: arn,
+    Platform: match ? match[1] : 'GCM',
+    Name: match ? match[2] : 'app',
+    Attributes: {Enabled: 'true'}
+  };
+
+  return this.applications[arn];
+};
+
+
+FakeSNS.prototype._findEndpoint = function(applicationArn, token) {
+  var endpoints = this.endpoints;
+
+  return Object.keys(endpoints).map(function(arn) {
+    return endpoints[arn];
+  }).filter(function(endpoint) {
+    return endpoint.PlatformApplicationArn === applicationArn &&
+      endpoint.Attributes.Token === token;
+  })[0] || null;
+};
+
+
+FakeSNS.prototype._getEndpoint = function(arn) {
+  if (!this.endpoints[arn]) {
+    throw createError('NotFound', 'Endpoint does not exist');
+  }
+
+  return this.endpoints[arn];
+};
+
+
+// Topics
+
+FakeSNS.prototype.createTopic = function(params, callback) {
+  this._respond('createTopic', params, callback, function() {
+    var arn = this._arn(params.Name);
+
+    this.topics[arn] = this.topics[arn] || {
+      Attributes: {TopicArn: arn, DisplayName: ''},
+      Tags: []
+    };
+    extend(this.topics[arn].Attributes, params.Attributes);
+    this._tag(arn, params.Tags);
+
+    return {TopicArn: arn};
+  });
+};
+
+
+FakeSNS.prototype.deleteTopic = function(params, callback) {
+  this._respond('deleteTopic', params, callback, function() {
+    var subscriptions = this.subscriptions;
+
+    delete this.topics[params.TopicArn];
+    Object.keys(subscriptions).forEach(function(arn) {
+      if (subscriptions[arn].TopicArn === params.TopicArn) {
+        delete subscriptions[arn];
+      }
+    });
+  });
+};
+
+
+FakeSNS.prototype.getTopicAttributes = function(params, callback) {
+  this._respond('getTopicAttributes', params, callback, function() {
+    return {Attributes: this._getTopic(params.TopicArn).Attributes};
+  });
+};
+
+
+FakeSNS.prototype.setTopicAttributes = function(params, callback) {
+  this._respond('setTopicAttributes', params, callback, function() {
+    this._getTopic(params.TopicArn).Attributes[params.AttributeName] =
+      params.AttributeValue;
+  });
+};
+
+
+FakeSNS.prototype.tagResource = function(params, callback) {
+  this._respond('tagResource', params, callback, function() {
+    this._getTopic(params.ResourceArn);
+    this._tag(params.ResourceArn, params.Tags);
+  });
+};
+
+
+FakeSNS.prototype.listTopics = function(params, callback) {
+  this._respond('listTopics', params, callback, function() {
+    var page = this._page(Object.keys(this.topics), params.NextToken);
+
+    return {
+      Topics: page.items.map(function(arn) {
+        return {TopicArn: arn};
+      }),
+      NextToken: page.NextToken
+    };
+  });
+};
+
+
+FakeSNS.prototype._getTopic = function(arn) {
+  if (!this.topics[arn]) {
+    throw createError('NotFound', 'Topic does not exist');
+  }
+
+  return this.topics[arn];
+};
+
+
+FakeSNS.prototype._tag = function(arn, tags) {
+  var topic = this.topics[arn];
+
+  (tags || []).forEach(function(tag) {
+    topic.Tags = topic.Tags.filter(function(existing) {
+      return existing.Key !== tag.Key;
+    }).concat({Key: tag.Key, Value: tag.Value});
+  });
+};
+
+
+// Subscriptions
+
+FakeSNS.prototype.subscribe = function(params, callback) {
+  this._respond('subscribe', params, callback, function() {
+    var topicArn = params.TopicArn
+      , pending = CONFIRMED_PROTOCOLS.indexOf(params.Protocol) !== -1
+      , arn = util.format('%s:%s', topicArn, createId());
+
+    this._getTopic(topicArn);
+    this.subscriptions[arn] = {
+      SubscriptionArn: arn,
+      TopicArn: topicArn,
+      Protocol: params.Protocol,
+      Endpoint: params.Endpoint,
+      Owner: this.accountId,
+      Attributes: extend({}, params.Attributes),
+      Token: pending ? createId() : null
+    };
+
+    if (!pending) {
+      return {SubscriptionArn: arn};
+    }
+
+    this.delivered.push({
+      Type: 'SubscriptionConfirmation',
+      Protocol: params.Protocol,
+      Endpoint: params.Endpoint,
+      TopicArn: topicArn,
+      Token: this.subscriptions[arn].Token
+    });
+
+    return {
+      SubscriptionArn: params.ReturnSubscriptionArn ?
+        arn : 'pending confirmation'
+    };
+  });
+};
+
+
+FakeSNS.prototype.confirmSubscription = function(params, callback) {
+  this._respond('confirmSubscription', params, callback, function() {
+    var subscriptions = this.subscriptions
+      , arn = Object.keys(subscriptions).filter(function(arn) {
+        return subscriptions[arn].TopicArn === params.TopicArn &&
+          subscriptions[arn].Token === params.Token;
+      })[0];
+
+    if (!arn) {
+      throw createError('InvalidParameter',
+        'Invalid parameter: Token');
+    }
+
+    subscriptions[arn].Token = null;
+
+    return {SubscriptionArn: arn};
+  });
+};
+
+
+FakeSNS.prototype.unsubscribe = function(params, callback) {
+  this._respond('unsubscribe', params, callback, function() {
+    this._getSubscription(params.SubscriptionArn);
+    delete this.subscriptions[params.SubscriptionArn];
+  });
+};
+
+
+FakeSNS.prototype.setSubscriptionAttributes = function(params, callback) {
+  this._respond('setSubscriptionAttributes', params, callback, function() {
+    this._getSubscription(params.SubscriptionArn)
+      .Attributes[params.AttributeName] = params.AttributeValue;
+  });
+};
+
+
+FakeSNS.prototype.listSubscriptions = function(params, callback) {
+  this._respond('listSubscriptions', params, callback, function() {
+    return this._listSubscriptions(null, params.NextToken);
+  });
+};
+
+
+FakeSNS.prototype.listSubscriptionsByTopic = function(params, callback) {
+  this._respond('listSubscriptionsByTopic', params, callback, function() {
+    this._getTopic(params.TopicArn);
+
+    return this._listSubscriptions(params.TopicArn, params.NextToken);
+  });
+};
+
+
+FakeSNS.prototype._listSubscriptions = function(topicArn, nextToken) {
+  var subscriptions = this.subscriptions
+    , arns = Object.keys(subscriptions).filter(function(arn) {
+      return !topicArn || subscriptions[arn].TopicArn === topicArn;
+    })
+    , page = this._page(arns, nextToken);
+
+  return {
+    Subscriptions: page.items.map(function(arn) {
+      var subscription = subscriptions[arn];
+
+      return {
+        SubscriptionArn: subscription.Token ? 'PendingConfirmation' : arn,
+        Owner: subscription.Owner,
+        Protocol: subscription.Protocol,
+        Endpoint: subscription.Endpoint,
+        TopicArn: subscription.TopicArn
+      };
+    }),
+    NextToken: page.NextToken
+  };
+};
+
+
+FakeSNS.prototype._getSubscription = function(arn) {
+  if (!this.subscriptions[arn]) {
+    throw createError('NotFound', 'Subscription does not exist');
+  }
+
+  return this.subscriptions[arn];
+};
+
+
+// Publishing
+
+FakeSNS.prototype.publish = function(params, callback) {
+  this._respond('publish', params, callback, function() {
+    var messageId = createId();
+
+    if (params.TargetArn) {
+      this._deliverToEndpoint(params.TargetArn, params, messageId, true);
+    } else if (params.TopicArn) {
+      this._fanOut(params, messageId);
+    } else if (params.PhoneNumber) {
+      this._deliver('sms', params.PhoneNumber, params.Message, params,
+        messageId);
+    } else {
+      throw createError('InvalidParameter', 'Invalid parameter: ' +
+        'TopicArn or TargetArn or PhoneNumber is required');
+    }
+
+    this.published.push(extend({MessageId: messageId}, params));
+
+    return {MessageId: messageId};
+  });
+};
+
+
+/**
+ * Deliver a published message to an endpoint, using the message for its
+ * platform if the message has a JSON structure. Disabled endpoints fail
+ * when published to directly, and are skipped when fanned out to.
+ */
+
+FakeSNS.prototype._deliverToEndpoint =
+  function(endpointArn, params, messageId, direct) {
+    var endpoint = this._getEndpoint(endpointArn)
+      , platform = this.applications[endpoint.PlatformApplicationArn].Platform;
+
+    if (endpoint.Attributes.Enabled === 'false') {
+      if (direct) {
+        throw createError('EndpointDisabled');
+      }
+      return;
+    }
+
+    this._deliver('application', endpointArn,
+      getMessage(params, platform), params, messageId);
+  };
+
+
+FakeSNS.prototype._fanOut = function(params, messageId) {
+  var self = this
+    , subscriptions = this.subscriptions;
+
+  this._getTopic(params.TopicArn);
+
+  Object.keys(subscriptions).map(function(arn) {
+    return subscriptions[arn];
+  }).filter(function(subscription) {
+    return subscription.TopicArn === params.TopicArn && !subscription.Token &&
+      matchesFilterPolicy(subscription.Attributes.FilterPolicy,
+        params.MessageAttributes);
+  }).forEach(function(subscription) {
+    if (subscription.Protocol !== 'application') {
+      return self._deliver(subscription.Protocol, subscription.Endpoint,
+        getMessage(params, subscription.Protocol), params, messageId);
+    }
+
+    if (self.endpoints[subscription.Endpoint]) {
+      self._deliverToEndpoint(subscription.Endpoint, params, messageId);
+    }
+  });
+};
+
+
+FakeSNS.prototype._deliver =
+  function(protocol, endpoint, message, params, messageId) {
+    if (protocol === 'sms' && this.optedOut.indexOf(endpoint) !== -1) {
+      return;
+    }
+
+    this.delivered.push({
+      Type: 'Notification',
+      MessageId: messageId,
+      Protocol: protocol,
+      Endpoint: endpoint,
+      TopicArn: params.TopicArn,
+      Message: message,
+      MessageAttributes: params.MessageAttributes
+    });
+  };
+
+
+// SMS
+
+FakeSNS.prototype.getSMSAttributes = function(params, callback) {
+  this._respond('getSMSAttributes', params, callback, function() {
+    var all = this.smsAttributes
+      , attributes = {};
+
+    (params.attributes || Object.keys(all)).forEach(function(name) {
+      if (all[name] !== undefined) {
+        attributes[name] = all[name];
+      }
+    });
+
+    return {attributes: attributes};
+  });
+};
+
+
+FakeSNS.prototype.setSMSAttributes = function(params, callback) {
+  this._respond('setSMSAttributes', params, callback, function() {
+    extend(this.smsAttributes, params.attributes);
+  });
+};
+
+
+FakeSNS.prototype.checkIfPhoneNumberIsOptedOut = function(params, callback) {
+  this._respond('checkIfPhoneNumberIsOptedOut', params, callback, function() {
+    return {isOptedOut: this.optedOut.indexOf(params.phoneNumber) !== -1};
+  });
+};
+
+
+FakeSNS.prototype.listPhoneNumbersOptedOut = function(params, callback) {
+  this._respond('listPhoneNumbersOptedOut', params, callback, function() {
+    var page = this._page(this.optedOut, params.nextToken);
+
+    return {
+      phoneNumbers: page.items,
+      nextToken: page.NextToken
+    };
+  });
+};
+
+
+FakeSNS.prototype.optInPhoneNumber = function(params, callback) {
+  this._respond('optInPhoneNumber', params, callback, function() {
+    this.optedOut = this.optedOut.filter(function(phoneNumber) {
+      return phoneNumber !== params.phoneNumber;
+    });
+  });
+};
+
+
+function createError(code, message) {
+  var err = new Error(message || ERROR_MESSAGES[code] || code);
+
+  err.code = code;
+  err.retryable = RETRYABLE_ERRORS.indexOf(code) !== -1;
+
+  return err;
+}
+
+
+function createId() {
+  var hex = crypto.randomBytes(16).toString('hex');
+
+  return [
+    hex.substr(0, 8),
+    hex.substr(8, 4),
+    hex.substr(12, 4),
+    hex.substr(16, 4),
+    hex.substr(20)
+  ].join('-');
+}
+
+
+// Get the message for a platform or protocol from a published message
+function getMessage(params, key) {
+  if (params.MessageStructure !== 'json') {
+    return params.Message;
+  }
+
+  var message = JSON.parse(params.Message);
+
+  return (message[key] !== undefined) ? message[key] : message['default'];
+}
+
+
+// Only exact matches of String and Number values are supported
+function matchesFilterPolicy(filterPolicy, messageAttributes) {
+  if (!filterPolicy) {
+    return true;
+  }
+
+  var policy = JSON.parse(filterPolicy);
+
+  return Object.keys(policy).every(function(key) {
+    var attribute = (messageAttributes || {})[key];
+
+    return !!attribute && [].concat(policy[key]).some(function(value) {
+      return String(value) === attribute.StringValue;
+    });
+  });
+}
@@ -0,0 +1,135 @@
+'use strict';
+
+module.exports = FileJobStore;
+
+var async = require('async')
+  , fs = require('fs');
+
+/**
+ * @constructor
+ * Keeps scheduled jobs in a JSON file so they survive a restart. The file is
+ * created when the first job is saved. Changes are written to a temporary
+ * file that then replaces the original, one change at a time, so a crash
+ * can't leave the file half written. Only one process should use a file.
+ * @param   {String} path
+ * @return  {FileJobStore}
+ */
+
+function FileJobStore(path) {
+  if (typeof path !== 'string' || !path) {
+    throw new Error('FileJobStore requires the path of a file.');
+  }
+
+  var self = this;
+
+  this.path = path;
+  this.jobs = null;
+  this.queue = async.queue(function(task, callback) {
+    self._load(function(err) {
+      if (err) {
+        return callback(err);
+      }
+
+      task(callback);
+    });
+  }, 1);
+}
+
+
+/**
+ * Save a scheduled job.
+ * @param {Object}    job
+ * @param {Function}  callback
+ */
+
+FileJobStore.prototype.save = function(job, callback) {
+  var self = this;
+
+  this.queue.push(function(done) {
+    self.jobs[job.id] = job;
+    self._write(done);
+  }, callback);
+};
+
+
+/**
+ * Remove a job once it has been sent or cancelled.
+ * @param {String}    id
+ * @param {Function}  callback
+ */
+
+FileJobStore.prototype.remove = function(id, callback) {
+  var self = this;
+
+  this.queue.push(function(done) {
+    if (!self.jobs[id]) {
+      return done();
+    }
+
+    delete self.jobs[id];
+    self._write(done);
+  }, callback);
+};
+
+
+/**
+ * List every job that is still to be sent.
+ * @param {Function}  callback
+ */
+
+FileJobStore.prototype.list = function(callback) {
+  var self = this
+    , jobs = null;
+
+  this.queue.push(function(done) {
+    jobs = Object.keys(self.jobs).map(function(id) {
+      return JSON.parse(JSON.stringify(self.jobs[id]));
+    });
+    done();
+  }, function(err) {
+    callback(err || null, jobs);
+  });
+};
+
+
+/**
+ * Read the jobs from the file the first time they're needed. A missing file
+ * means there are no jobs.
+ * @param {Function}  callback
+ */
+
+FileJobStore.prototype._load = function(callback) {
+  var self = this;
+
+  if (this.jobs) {
+    return async.setImmediate(callback);
+  }
+
+  fs.readFile(this.path, 'utf8', function(err, data) {
+    if (err && err.code !== 'ENOENT') {
+      return callback(err);
+    }
+
+    try {
+      self.jobs = data ? JSON.parse(data) : {};
+    } catch (e) {
+      return callback(e);
+    }
+
+    callback();
+  });
+};
+
+
+FileJobStore.prototype._write = function(callback) {
+  var path = this.path
+    , tmp = path + '.tmp';
+
+  fs.writeFile(tmp, JSON.stringify(this.jobs), function(err) {
+    if (err) {
+      return callback(err);
+    }
+
+    fs.rename(tmp, path, callback);
+  });
+};
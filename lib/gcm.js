@@ -0,0 +1,192 @@
+'use strict';
+
+var util = require('util')
+  , compact = require('./compact');
+
+// FCM rejects messages with a payload larger than this
+var MAX_PAYLOAD_BYTES = 4096;
+
+// Maximum time to live in seconds, 28 days
+var MAX_TTL = 2419200;
+
+var PRIORITIES = ['high', 'normal'];
+
+// Maps notification options to their GCM names
+var NOTIFICATION_KEYS = {
+  title: 'title',
+  body: 'body',
+  sound: 'sound',
+  icon: 'icon',
+  color: 'color',
+  tag: 'tag',
+  clickAction: 'click_action'
+};
+
+exports.MAX_PAYLOAD_BYTES = MAX_PAYLOAD_BYTES;
+exports.MAX_TTL = MAX_TTL;
+
+
+/**
+ * Build a GCM payload from a message and options. Without a notification
+ * the message is sent as data.message, as it always has been.
+ * @param   {String} message
+ * @param   {Object} opts
+ * @return  {Object}
+ */
+
+exports.buildPayload = function(message, opts) {
+  validateOptions(opts);
+
+  var notification = buildNotification(message, opts)
+    , data = buildData(opts.notification ? null : message, opts.data);
+
+  if (!notification && !data) {
+    throw new Error('A GCM message requires a message, notification or data.');
+  }
+
+  if (opts.fcmV1) {
+    return buildFcmV1Payload(notification, data, opts);
+  }
+
+  if (notification && opts.channelId) {
+    notification['android_channel_id'] = opts.channelId;
+  }
+
+  return compact({
+    notification: notification,
+    data: data,
+    priority: opts.priority,
+    'time_to_live': opts.ttl,
+    'collapse_key': opts.collapseKey
+  });
+};
+
+
+/**
+ * Stringify a GCM payload, checking that it's within the FCM size limit.
+ * @param   {Object} payload
+ * @return  {String}
+ */
+
+exports.stringify = function(payload) {
+  var json = JSON.stringify(payload)
+    , bytes = Buffer.byteLength(json, 'utf8');
+
+  if (bytes > MAX_PAYLOAD_BYTES) {
+    throw new Error(util.format('GCM payload is %d bytes, the maximum is ' +
+      '%d bytes.', bytes, MAX_PAYLOAD_BYTES));
+  }
+
+  return json;
+};
+
+
+/**
+ * Build the payload SNS expects for an FCM HTTP v1 message.
+ * @param   {Object} notification
+ * @param   {Object} data
+ * @param   {Object} opts
+ * @return  {Object}
+ */
+
+function buildFcmV1Payload(notification, data, opts) {
+  var android = compact({
+    priority: opts.priority && opts.priority.toUpperCase(),
+    ttl: opts.ttl !== undefined ? opts.ttl + 's' : undefined,
+    'collapse_key': opts.collapseKey
+  });
+
+  // FCM v1 only allows title and body in the common notification, the
+  // Android specific keys are set on android.notification instead
+  if (notification) {
+    android.notification = emptyToUndefined(compact({
+      'channel_id': opts.channelId,
+      sound: notification.sound,
+      icon: notification.icon,
+      color: notification.color,
+      tag: notification.tag,
+      'click_action': notification['click_action']
+    }));
+
+    notification = compact({
+      title: notification.title,
+      body: notification.body
+    });
+  }
+
+  return {
+    fcmV1Message: {
+      message: compact({
+        notification: notification,
+        data: data,
+        android: emptyToUndefined(compact(android))
+      })
+    }
+  };
+}
+
+
+function buildNotification(message, opts) {
+  if (!opts.notification) {
+    return undefined;
+  }
+
+  var notification = {};
+
+  Object.keys(opts.notification).forEach(function(key) {
+    if (!NOTIFICATION_KEYS.hasOwnProperty(key)) {
+      throw new Error(util.format('Unsupported GCM notification option, ' +
+        '"%s".', key));
+    }
+    notification[NOTIFICATION_KEYS[key]] = opts.notification[key];
+  });
+
+  if (message && !notification.body) {
+    notification.body = message;
+  }
+
+  return notification;
+}
+
+
+function buildData(message, data) {
+  var result = {};
+
+  if (message) {
+    result.message = message;
+  }
+
+  Object.keys(data || {}).forEach(function(key) {
+    if (typeof data[key] !== 'string') {
+      throw new Error(util.format('GCM data value "%s" must be a String.',
+        key));
+    }
+    result[key] = data[key];
+  });
+
+  return emptyToUndefined(result);
+}
+
+
+function validateOptions(opts) {
+  if (opts.priority !== undefined && PRIORITIES.indexOf(opts.priority) === -1) {
+    throw new Error('GCM option "priority" must be "high" or "normal".');
+  }
+
+  if (
+    opts.ttl !== undefined &&
+    (typeof opts.ttl !== 'number' || opts.ttl < 0 || opts.ttl > MAX_TTL)
+  ) {
+    throw new Error(util.format('GCM option "ttl" must be a Number of ' +
+      'seconds from 0 to %d.', MAX_TTL));
+  }
+
+  if (opts.channelId && !opts.notification) {
+    throw new Error('GCM option "channelId" requires a notification.');
+  }
+}
+
+
+function emptyToUndefined(obj) {
+  return Object.keys(obj).length ? obj : undefined;
+}
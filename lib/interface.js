@@ -4,8 +4,15 @@ module.exports = Interface;
 
 var SUPPORTED_PLATFORMS = {
   ANDROID: 'ANDROID',
+  FCM: 'FCM',
   IOS: 'IOS',
+  APNS_VOIP: 'APNS_VOIP',
+  APNS_VOIP_SANDBOX: 'APNS_VOIP_SANDBOX',
+  MACOS: 'MACOS',
   KINDLE_FIRE: 'KINDLE_FIRE',
+  BAIDU: 'BAIDU',
+  MPNS: 'MPNS',
+  WNS: 'WNS',
   // For bc with older versions
   android: 'android',
   ios: 'ios'
@@ -30,13 +37,103 @@ var EMITTED_EVENTS = {
   UNSUBSCRIBED: 'unsubscribed',
   UNSUBSCRIBE_FAILED: 'unsubscribeFailed',
   PUBLISH_FAILED: 'publishFailed',
-  PUBLISHED_MESSAGE: 'publishedMessage'
+  PUBLISHED_MESSAGE: 'publishedMessage',
+  REGISTERED_USER: 'userRegistered',
+  PRUNED_USER: 'userPruned',
+  PRUNE_FAILED: 'pruneFailed',
+  RETRY: 'retry',
+  BROADCAST_CHECKPOINT: 'broadcastCheckpoint',
+  APPLICATION_CREATED: 'applicationCreated',
+  CREATE_APPLICATION_FAILED: 'createApplicationFailed',
+  APPLICATION_UPDATED: 'applicationUpdated',
+  APPLICATION_UPDATE_FAILED: 'applicationUpdateFailed',
+  APPLICATION_DELETED: 'applicationDeleted',
+  DELETE_APPLICATION_FAILED: 'deleteApplicationFailed',
+  REGISTRY_UPDATE_FAILED: 'registryUpdateFailed',
+  TOPIC_ATTRIBUTES_UPDATED: 'topicAttributesUpdated',
+  TOPIC_ATTRIBUTES_UPDATE_FAILED: 'topicAttributesUpdateFailed',
+  SUBSCRIPTION_ATTRIBUTES_UPDATED: 'subscriptionAttributesUpdated',
+  SUBSCRIPTION_ATTRIBUTES_UPDATE_FAILED: 'subscriptionAttributesUpdateFailed',
+  SUBSCRIPTION_CONFIRMED: 'subscriptionConfirmed',
+  CONFIRM_SUBSCRIPTION_FAILED: 'confirmSubscriptionFailed',
+  SENT_SMS: 'smsSent',
+  SEND_SMS_FAILED: 'sendSmsFailed',
+  SMS_ATTRIBUTES_UPDATED: 'smsAttributesUpdated',
+  SMS_ATTRIBUTES_UPDATE_FAILED: 'smsAttributesUpdateFailed',
+  OPTED_IN: 'phoneNumberOptedIn',
+  OPT_IN_FAILED: 'optInFailed',
+  TIMEZONE_GROUP_SCHEDULED: 'timezoneGroupScheduled',
+  TIMEZONE_GROUP_SENT: 'timezoneGroupSent'
+};
+
+var REGISTRATION_STATUS = {
+  CREATED: 'created',
+  REUSED: 'reused',
+  REPAIRED: 'repaired'
+};
+
+// SNS reports the clashing endpoint in the error message when a token is
+// registered again with different attributes
+var EXISTING_ENDPOINT_REGEX = /Endpoint (arn:\S+) already exists/;
+
+// MPNS delivers realtime notifications immediately, priority ones within 450
+// seconds and regular ones within 900 seconds
+var MPNS_NOTIFICATION_CLASSES = ['realtime', 'priority', 'regular'];
+
+// Send errors that mean the endpoint will never receive messages again
+var PRUNABLE_ERRORS = ['EndpointDisabled'];
+
+// Concurrency of bulk subscribe and unsubscribe calls if none is configured
+var DEFAULT_BULK_CONCURRENCY = 10;
+
+// SubscriptionArn SNS lists for subscriptions that haven't been confirmed
+var PENDING_CONFIRMATION = 'PendingConfirmation';
+
+// Phone numbers must be in E.164 format, e.g. +353861234567
+var E164_REGEX = /^\+[1-9]\d{1,14}$/;
+
+var SMS_TYPES = ['Promotional', 'Transactional'];
+
+var EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Format of the endpoint for each topic subscription protocol
+var SUBSCRIPTION_PROTOCOLS = {
+  application: /^arn:[^:]+:sns:[^:]+:\d+:endpoint\//,
+  sqs: /^arn:[^:]+:sqs:[^:]+:\d+:[^:]+$/,
+  lambda: /^arn:[^:]+:lambda:[^:]+:\d+:function:/,
+  firehose: /^arn:[^:]+:firehose:[^:]+:\d+:deliverystream\//,
+  http: /^http:\/\/[^\s]+$/i,
+  https: /^https:\/\/[^\s]+$/i,
+  email: EMAIL_REGEX,
+  'email-json': EMAIL_REGEX,
+  sms: E164_REGEX
 };
 
 var async = require('async')
   , util = require('util')
   , events = require('events')
-  , AWS = require('aws-sdk');
+  , AWS = require('aws-sdk')
+  , promisify = require('./promisify')
+  , PLATFORM_FORMATS = require('./platform-formats')
+  , RateLimiter = require('./rate-limiter')
+  , RetryPolicy = require('./retry-policy')
+  , MemoryCheckpointStore = require('./checkpoint-store')
+  , Pager = require('./pager')
+  , MemoryEndpointRegistry = require('./endpoint-registry')
+  , query = require('./query')
+  , timezone = require('./timezone')
+  , MessageBuilder = require('./message-builder')
+  , apns = require('./apns')
+  , gcm = require('./gcm')
+  , adm = require('./adm')
+  , baidu = require('./baidu')
+  , windows = require('./windows')
+  , FakeSNS = require('./fake-sns')
+  , Scheduler = require('./scheduler')
+  , MemoryJobStore = require('./job-store')
+  , FileJobStore = require('./file-job-store')
+  , TemplateRegistry = require('./template-registry')
+  , crypto = require('crypto');
 
 /**
  * @constructor
@@ -56,18 +153,53 @@ function Interface(opts) {
   this.platformApplicationArn = opts.platformApplicationArn;
   this.platform = opts.platform;
   this.sandbox = opts.sandbox;
+  this.pruneEndpoints = opts.pruneEndpoints;
+  this._setLimits(opts.concurrency, opts.ratePerSecond);
+  this.retryPolicy = opts.retry ?
+    new RetryPolicy(opts.retry === true ? {} : opts.retry) : null;
+  this.checkpointStore = opts.checkpointStore;
+  this.registry = opts.registry;
+  this.userIdKey = opts.userIdKey || 'userId';
+  this.timezoneKey = opts.timezoneKey || 'timezone';
+  this.templates = opts.templates;
+  this.localeKey = opts.localeKey || 'locale';
+  this.dryRun = opts.dryRun;
+
+  this.sns = createSnsClient(opts);
 
-  if (opts.sns) {
-    if (
-      opts.sns instanceof AWS.SNS ||
-      (opts.sns.createPlatformEndpoint && opts.sns.getEndpointAttributes)
-    ){
-      this.sns = opts.sns;
-    } else {
-      this.sns = new AWS.SNS(opts.sns);
-    }
-  } else {
-    this.sns = new AWS.SNS({
+  events.EventEmitter.call(this);
+}
+
+util.inherits(Interface, events.EventEmitter);
+
+
+/**
+ * Create the concurrency and rate limits of the instance, which are shared by
+ * every publish so that concurrent calls can't exceed them together.
+ * @param {Number}  [concurrency]     Maximum number of publishes in flight
+ * @param {Number}  [ratePerSecond]   Maximum number of publishes per second
+ */
+
+Interface.prototype._setLimits = function(concurrency, ratePerSecond) {
+  this.concurrency = concurrency;
+  this.ratePerSecond = ratePerSecond;
+  this.limiter = ratePerSecond ? new RateLimiter(ratePerSecond) : null;
+  this.publishQueue = concurrency ? async.queue(function(task, cb) {
+    task(cb);
+  }, concurrency) : null;
+};
+
+
+/**
+ * Use the SNS client, or client options, given as opts.sns, otherwise create
+ * a client using the region, apiVersion and credentials in opts.
+ * @param   {Object} opts
+ * @return  {AWS.SNS}
+ */
+
+function createSnsClient(opts) {
+  if (!opts.sns) {
+    return new AWS.SNS({
       region: opts.region,
       apiVersion: opts.apiVersion,
       accessKeyId: opts.accessKeyId,
@@ -75,13 +207,137 @@ function Interface(opts) {
     });
   }
 
-  events.EventEmitter.call(this);
-}
+  if (
+    opts.sns instanceof AWS.SNS ||
+    (opts.sns.createPlatformEndpoint && opts.sns.getEndpointAttributes)
+  ){
+    return opts.sns;
+  }
 
-util.inherits(Interface, events.EventEmitter);
+  return new AWS.SNS(opts.sns);
+}
 
 Interface.EVENTS = EMITTED_EVENTS;
 Interface.SUPPORTED_PLATFORMS = SUPPORTED_PLATFORMS;
+Interface.REGISTRATION_STATUS = REGISTRATION_STATUS;
+Interface.RetryPolicy = RetryPolicy;
+Interface.MemoryCheckpointStore = MemoryCheckpointStore;
+Interface.MessageBuilder = MessageBuilder;
+Interface.MemoryEndpointRegistry = MemoryEndpointRegistry;
+Interface.FakeSNS = FakeSNS;
+Interface.Scheduler = Scheduler;
+Interface.MemoryJobStore = MemoryJobStore;
+Interface.FileJobStore = FileJobStore;
+Interface.TemplateRegistry = TemplateRegistry;
+Interface.SUBSCRIPTION_PROTOCOLS = Object.keys(SUBSCRIPTION_PROTOCOLS);
+
+
+/**
+ * Call an SNS operation, retrying it according to the retry policy.
+ * @param {String}    operation   Name of the AWS.SNS method
+ * @param {Object}    params
+ * @param {Function}  callback
+ */
+
+Interface.prototype._call = function(operation, params, callback) {
+  var self = this
+    , policy = this.retryPolicy
+    , attempt = 0;
+
+  function attemptCall() {
+    attempt++;
+    self.sns[operation](params, function(err, res) {
+      if (err && policy && policy.shouldRetry(err, attempt)) {
+        self.emit(EMITTED_EVENTS.RETRY, attempt, err, operation);
+        return setTimeout(attemptCall, policy.getDelay(attempt));
+      }
+
+      callback(err, res);
+    });
+  }
+
+  attemptCall();
+};
+
+
+/**
+ * Publish a message. In dry run mode nothing is published, instead the
+ * params are captured along with a synthetic MessageId, which is passed to
+ * the callback as if SNS had returned it.
+ * @param {Object}    params
+ * @param {Object}    [opts]      dryRun, overrides the constructor option
+ * @param {Function}  callback    fn(err, res, capture)
+ */
+
+Interface.prototype._publish = function(params, opts, callback) {
+  var isDryRun = (opts && opts.dryRun !== undefined) ?
+    opts.dryRun : this.dryRun;
+
+  if (!isDryRun) {
+    return this._throttle(this._call.bind(this, 'publish', params), callback);
+  }
+
+  var capture = {
+    dryRun: true,
+    MessageId: 'dry-run-' + crypto.randomBytes(16).toString('hex')
+  };
+
+  Object.keys(params).forEach(function(key) {
+    capture[key] = params[key];
+  });
+
+  async.setImmediate(function() {
+    callback(null, {MessageId: capture.MessageId}, capture);
+  });
+};
+
+
+/**
+ * Run a task once the instance's concurrency and ratePerSecond limits allow
+ * it. These limits are shared by every call, so they bound the total number
+ * of publishes in flight and the overall send rate.
+ * @param {Function}  task      fn(callback)
+ * @param {Function}  callback  Receives the result of the task
+ */
+
+Interface.prototype._throttle = function(task, callback) {
+  var limiter = this.limiter;
+
+  function run(done) {
+    if (!limiter) {
+      return task(done);
+    }
+
+    limiter.take(function() {
+      task(done);
+    });
+  }
+
+  if (!this.publishQueue) {
+    return run(callback);
+  }
+
+  this.publishQueue.push(run, callback);
+};
+
+
+/**
+ * Emit an event for a published message. Messages captured in dry run mode
+ * are passed to listeners as an extra argument.
+ * @param {String}  evt
+ * @param {String}  target      EndpointArn, TopicArn or phone number
+ * @param {String}  messageId
+ * @param {Object}  [capture]
+ */
+
+Interface.prototype._emitPublished =
+  function(evt, target, messageId, capture) {
+    if (capture) {
+      return this.emit(evt, target, messageId, capture);
+    }
+
+    this.emit(evt, target, messageId);
+  };
 
 
 /**
@@ -137,13 +393,288 @@ Interface.prototype.addUser = function(deviceId, customUserData, callback) {
   }
 
   var self = this;
-  this.sns.createPlatformEndpoint(params, function(err, res) {
-    if (!err) {
-      self.emit(EMITTED_EVENTS.ADDED_USER, res.EndpointArn, deviceId);
-    } else {
+  this._call('createPlatformEndpoint', params, function(err, res) {
+    if (err) {
       self.emit(EMITTED_EVENTS.ADD_USER_FAILED, deviceId, err);
+      return callback(err, null);
+    }
+
+    self.emit(EMITTED_EVENTS.ADDED_USER, res.EndpointArn, deviceId);
+    self._updateRegistry(res.EndpointArn,
+      self._getRegistryFields(deviceId, customUserData), function() {
+        return callback(null, res.EndpointArn);
+      });
+  });
+};
+
+
+/**
+ * Register a device token, reusing and repairing an existing endpoint for the
+ * token where one exists. The callback receives an object containing the
+ * EndpointArn and a status from REGISTRATION_STATUS.
+ * @param {String}    token
+ * @param {String}    [customUserData]
+ * @param {Object}    [opts]      endpointArn: previously stored EndpointArn,
+ *                                lookup: page through users to find the token
+ * @param {Function}  callback
+ */
+
+Interface.prototype.registerDevice =
+  function(token, customUserData, opts, callback) {
+    if (typeof customUserData === 'function') {
+      callback = customUserData;
+      customUserData = null;
+    } else if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    opts = opts || {};
+
+    if (customUserData && typeof customUserData === 'object') {
+      customUserData = JSON.stringify(customUserData);
+    }
+
+    var self = this;
+
+    function done(err, endpointArn, status) {
+      if (err) {
+        self.emit(EMITTED_EVENTS.ADD_USER_FAILED, token, err);
+        return callback(err, null);
+      }
+
+      self.emit(EMITTED_EVENTS.REGISTERED_USER, endpointArn, token, status);
+      self._updateRegistry(endpointArn,
+        self._getRegistryFields(token, customUserData), function() {
+          callback(null, {
+            EndpointArn: endpointArn,
+            status: status
+          });
+        });
+    }
+
+    function create() {
+      self._createEndpoint(token, customUserData, opts,
+        function(err, endpointArn, created) {
+          if (err) {
+            return done(err);
+          }
+
+          self._repairEndpoint(endpointArn, token, customUserData,
+            function(err, repaired) {
+              var status = created ?
+                REGISTRATION_STATUS.CREATED : REGISTRATION_STATUS.REUSED;
+
+              done(err, endpointArn,
+                repaired ? REGISTRATION_STATUS.REPAIRED : status);
+            });
+        });
+    }
+
+    if (!opts.endpointArn) {
+      return create();
+    }
+
+    this._repairEndpoint(opts.endpointArn, token, customUserData,
+      function(err, repaired) {
+        if (err && err.code === 'NotFound') {
+          return create();
+        }
+
+        done(err, opts.endpointArn,
+          repaired ? REGISTRATION_STATUS.REPAIRED : REGISTRATION_STATUS.REUSED);
+      });
+  };
+
+
+/**
+ * Create an endpoint for a token. If SNS reports that the token already has
+ * an endpoint its EndpointArn is returned instead. SNS also returns the
+ * existing endpoint without an error if the token is registered again with
+ * the same attributes, so the endpoint is only reported as created if it
+ * isn't the one the registry, or a lookup, knows for the token. The callback
+ * has format callback(err, endpointArn, created).
+ * @param {String}    token
+ * @param {String}    customUserData
+ * @param {Object}    opts
+ * @param {Function}  callback
+ */
+
+Interface.prototype._createEndpoint =
+  function(token, customUserData, opts, callback) {
+    var self = this;
+
+    this._findKnownEndpoint(token, opts, function(err, knownArn) {
+      if (err) {
+        return callback(err);
+      }
+
+      self._createOrFindEndpoint(token, customUserData, opts,
+        function(err, endpointArn, created) {
+          if (err) {
+            return callback(err);
+          }
+
+          created = created && endpointArn !== knownArn;
+
+          if (created) {
+            self.emit(EMITTED_EVENTS.ADDED_USER, endpointArn, token);
+          }
+
+          callback(null, endpointArn, created);
+        });
+    });
+  };
+
+
+/**
+ * Get the EndpointArn already known for a token, from the registry if there
+ * is one, otherwise by paging through users if opts.lookup is set. The
+ * callback receives null if the token isn't known.
+ * @param {String}    token
+ * @param {Object}    opts
+ * @param {Function}  callback
+ */
+
+Interface.prototype._findKnownEndpoint = function(token, opts, callback) {
+  if (this.registry) {
+    // The registry is only a hint here, so it failing doesn't stop the
+    // registration
+    return this.registry.findByToken(token, function(err, endpointArn) {
+      callback(null, err ? null : endpointArn);
+    });
+  }
+
+  if (!opts.lookup) {
+    return callback(null, null);
+  }
+
+  this._findUserByToken(token, function(err, user) {
+    callback(err || null, user ? user.EndpointArn : null);
+  });
+};
+
+
+/**
+ * Call createPlatformEndpoint for a token, falling back to the endpoint SNS
+ * reports as already having the token. The callback has format
+ * callback(err, endpointArn, created).
+ * @param {String}    token
+ * @param {String}    customUserData
+ * @param {Object}    opts
+ * @param {Function}  callback
+ */
+
+Interface.prototype._createOrFindEndpoint =
+  function(token, customUserData, opts, callback) {
+    var params = {
+      PlatformApplicationArn: this.getPlatformApplicationArn(),
+      Token: token
+    };
+
+    if (customUserData) {
+      params.CustomUserData = customUserData;
     }
-    return callback(err, ((res && res.EndpointArn) ? res.EndpointArn : null));
+
+    var self = this;
+    this._call('createPlatformEndpoint', params, function(err, res) {
+      if (!err) {
+        return callback(null, res.EndpointArn, true);
+      }
+
+      var match = EXISTING_ENDPOINT_REGEX.exec(err.message);
+
+      if (match) {
+        return callback(null, match[1], false);
+      }
+
+      if (!opts.lookup || err.code !== 'InvalidParameter') {
+        return callback(err);
+      }
+
+      self._findUserByToken(token, function(lookupErr, user) {
+        if (lookupErr || !user) {
+          return callback(lookupErr || err);
+        }
+
+        callback(null, user.EndpointArn, false);
+      });
+    });
+  };
+
+
+/**
+ * Ensure an endpoint is enabled and has the given Token and CustomUserData.
+ * The callback has format callback(err, repaired).
+ * @param {String}    endpointArn
+ * @param {String}    token
+ * @param {String}    customUserData
+ * @param {Function}  callback
+ */
+
+Interface.prototype._repairEndpoint =
+  function(endpointArn, token, customUserData, callback) {
+    var self = this;
+
+    this._getUser(endpointArn, function(err, user) {
+      if (err) {
+        return callback(err);
+      }
+
+      var attributes = user.Attributes || {};
+
+      if (
+        attributes.Enabled === 'true' &&
+        attributes.Token === token &&
+        (!customUserData || attributes.CustomUserData === customUserData)
+      ) {
+        return callback(null, false);
+      }
+
+      var update = {
+        Token: token,
+        Enabled: 'true'
+      };
+
+      if (customUserData) {
+        update.CustomUserData = customUserData;
+      }
+
+      self.setAttributes(endpointArn, update, function(err) {
+        callback(err, !err);
+      });
+    });
+  };
+
+
+/**
+ * Find the user with the given device token by paging through users. The
+ * callback receives null if no user has the token.
+ * @param {String}    token
+ * @param {Function}  callback
+ */
+
+Interface.prototype._findUserByToken = function(token, callback) {
+  var self = this
+    , nextToken = null
+    , found = null;
+
+  async.doWhilst(function(next) {
+    self._getUsers(nextToken, function(err, res) {
+      if (err) {
+        return next(err);
+      }
+
+      nextToken = res.NextToken;
+      found = (res.Endpoints || []).filter(function(endpoint) {
+        return endpoint.Attributes && endpoint.Attributes.Token === token;
+      })[0] || null;
+      next();
+    });
+  }, function() {
+    return !found && !!nextToken;
+  }, function(err) {
+    callback(err, found);
   });
 };
 
@@ -155,7 +686,32 @@ Interface.prototype.addUser = function(deviceId, customUserData, callback) {
  */
 
 Interface.prototype.getUser = function(endpointArn, callback) {
-  this.sns.getEndpointAttributes({
+  var self = this;
+
+  this._getUser(endpointArn, function(err, res) {
+    if (err) {
+      return callback(err, null);
+    }
+
+    if (!self.pruneEndpoints || res.Attributes.Enabled !== 'false') {
+      return callback(null, res);
+    }
+
+    self._pruneEndpoint(endpointArn, 'EndpointDisabled', function() {
+      callback(null, res);
+    });
+  });
+};
+
+
+/**
+ * Get a user by their EndpointArn without pruning disabled endpoints.
+ * @param {String}    endpointArn
+ * @param {Function}  callback
+ */
+
+Interface.prototype._getUser = function(endpointArn, callback) {
+  this._call('getEndpointAttributes', {
     EndpointArn: endpointArn
   }, function(err, res) {
     if (err) {
@@ -197,13 +753,17 @@ Interface.prototype.setAttributes =
       EndpointArn: endpointArn,
       Attributes: attributes
     };
-    this.sns.setEndpointAttributes(params, function(err) {
-      if (!err) {
-        self.emit(EMITTED_EVENTS.ATTRIBUTES_UPDATED, endpointArn, attributes);
-      } else {
+    this._call('setEndpointAttributes', params, function(err) {
+      if (err) {
         self.emit(EMITTED_EVENTS.ATTRIBUTES_UPDATE_FAILED, endpointArn, err);
+        return callback(err, attributes);
       }
-      return callback(err, attributes);
+
+      self.emit(EMITTED_EVENTS.ATTRIBUTES_UPDATED, endpointArn, attributes);
+      self._updateRegistry(endpointArn, self._getRegistryFields(
+        attributes.Token, attributes.CustomUserData), function() {
+          return callback(null, attributes);
+        });
     });
   };
 
@@ -260,7 +820,7 @@ Interface.prototype._getUsers = function(nextToken, callback) {
     params.NextToken = nextToken;
   }
 
-  this.sns.listEndpointsByPlatformApplication(params, callback);
+  this._call('listEndpointsByPlatformApplication', params, callback);
 };
 
 
@@ -277,7 +837,7 @@ Interface.prototype._getApplications = function(nextToken, callback) {
     params.NextToken = nextToken;
   }
 
-  this.sns.listPlatformApplications(params, callback);
+  this._call('listPlatformApplications', params, callback);
 };
 
 
@@ -330,376 +890,2325 @@ Interface.prototype._getApplications = function(nextToken, callback) {
     params.NextToken = nextToken;
   }
 
-  this.sns.listPlatformApplications(params, callback);
+  this._call('listPlatformApplications', params, callback);
 };
 
 
-
 /**
- * Delete a user from the service.
- * @param {String}    endpointArn
+ * Create a platform application. The platform can be an SNS platform such as
+ * GCM or APNS_SANDBOX, or one of SUPPORTED_PLATFORMS, in which case the
+ * sandbox option picks between the Apple environments.
+ * @param {String}    name
+ * @param {String}    platform
+ * @param {Object}    credentials Attributes for the application, e.g.
+ *                                PlatformCredential and PlatformPrincipal
  * @param {Function}  callback
  */
 
-Interface.prototype.deleteUser = function(endpointArn, callback) {
-  var self = this;
+Interface.prototype.createApplication =
+  function(name, platform, credentials, callback) {
+    var self = this
+      , format = PLATFORM_FORMATS[String(platform).toUpperCase()];
 
-  this.sns.deleteEndpoint({
-    EndpointArn: endpointArn
-  }, function(err) {
-    if (!err) {
-      self.emit(EMITTED_EVENTS.DELETED_USER, endpointArn);
+    if (format) {
+      platform = (this.sandbox && format.sandboxKey) || format.key;
     }
-    return callback(err);
-  });
-};
+
+    var params = {
+      Name: name,
+      Platform: platform,
+      Attributes: stringifyAttributes(credentials)
+    };
+
+    this._call('createPlatformApplication', params, function(err, res) {
+      if (err) {
+        self.emit(EMITTED_EVENTS.CREATE_APPLICATION_FAILED, name, err);
+        return callback(err, null);
+      }
+
+      self.emit(EMITTED_EVENTS.APPLICATION_CREATED,
+        res.PlatformApplicationArn, name);
+      callback(null, res.PlatformApplicationArn);
+    });
+  };
 
 
 /**
- * Create a topic.
- * @param {String}    name
+ * Get the attributes of a platform application.
+ * @param {String}    applicationArn
  * @param {Function}  callback
  */
 
-Interface.prototype.createTopic = function(name, callback) {
-  var params = {
-    Name: name
+Interface.prototype.getApplicationAttributes =
+  function(applicationArn, callback) {
+    var params = {
+      PlatformApplicationArn: applicationArn
+    };
+
+    this._call('getPlatformApplicationAttributes', params,
+      function(err, res) {
+        return callback(err, (res && res.Attributes) ? res.Attributes : null);
+      });
   };
-  var self = this;
-  self.sns.createTopic(params, function(err, res) {
+
+
+/**
+ * Update the attributes of a platform application, e.g. to rotate its
+ * credentials or set the topics endpoint events are published to.
+ * @param {String}    applicationArn
+ * @param {Object}    attributes      An object that can contain properties
+ *                                    such as PlatformCredential,
+ *                                    EventDeliveryFailure and
+ *                                    SuccessFeedbackRoleArn
+ * @param {Function}  callback
+ */
+
+Interface.prototype.updateApplicationAttributes =
+  function(applicationArn, attributes, callback) {
+    if (!attributes || typeof attributes !== 'object') {
+      return callback(
+        new Error('Expected second parameter to be of type object (' +
+          typeof attributes + ' supplied).'), null);
+    }
+
+    var self = this
+      , params = {
+        PlatformApplicationArn: applicationArn,
+        Attributes: stringifyAttributes(attributes)
+      };
+
+    this._call('setPlatformApplicationAttributes', params, function(err) {
+      if (err) {
+        self.emit(EMITTED_EVENTS.APPLICATION_UPDATE_FAILED, applicationArn,
+          err);
+        return callback(err, null);
+      }
+
+      self.emit(EMITTED_EVENTS.APPLICATION_UPDATED, applicationArn,
+        params.Attributes);
+      callback(null, params.Attributes);
+    });
+  };
+
+
+/**
+ * Delete a platform application and all of its endpoints.
+ * @param {String}    applicationArn
+ * @param {Function}  callback
+ */
+
+Interface.prototype.deleteApplication = function(applicationArn, callback) {
+  var self = this
+    , params = {
+      PlatformApplicationArn: applicationArn
+    };
+
+  this._call('deletePlatformApplication', params, function(err) {
     if (err) {
-      self.emit(EMITTED_EVENTS.CREATE_TOPIC_FAILED, name, err);
+      self.emit(EMITTED_EVENTS.DELETE_APPLICATION_FAILED, applicationArn, err);
       return callback(err);
     }
-    if (!res || !res.TopicArn) {
-      return callback(new Error('Response or TopicArn is null'));
-    }
-    self.emit(EMITTED_EVENTS.TOPIC_CREATED, res.TopicArn, name);
-    callback(null, res.TopicArn);
+
+    self.emit(EMITTED_EVENTS.APPLICATION_DELETED, applicationArn);
+    callback();
   });
 };
 
 
+// SNS expects every attribute value to be a String, policies are sent as
+// JSON
+function stringifyAttributes(attributes) {
+  var stringified = {};
+
+  Object.keys(attributes || {}).forEach(function(key) {
+    var value = attributes[key];
+
+    stringified[key] = (value && typeof value === 'object') ?
+      JSON.stringify(value) : String(value);
+  });
+
+  return stringified;
+}
+
+
+// Convert an object of message attribute values to the SNS format. Values
+// that are already in the SNS format, {DataType, StringValue}, are kept.
+function toMessageAttributes(attributes) {
+  var converted = {};
+
+  Object.keys(attributes || {}).forEach(function(key) {
+    var value = attributes[key];
+
+    if (value && typeof value === 'object' && value.DataType) {
+      converted[key] = value;
+    } else if (Array.isArray(value)) {
+      converted[key] = {
+        DataType: 'String.Array',
+        StringValue: JSON.stringify(value)
+      };
+    } else {
+      converted[key] = {
+        DataType: (typeof value === 'number') ? 'Number' : 'String',
+        StringValue: String(value)
+      };
+    }
+  });
+
+  return converted;
+}
+
+
+// Build the publish params for an SMS message, throwing if the phone number
+// or options are invalid
+function getSmsParams(phoneNumber, text, opts) {
+  var attributes = {};
+
+  validateSms(phoneNumber, text, opts);
+
+  if (opts.senderId) {
+    attributes['AWS.SNS.SMS.SenderID'] = String(opts.senderId);
+  }
+
+  if (opts.smsType) {
+    attributes['AWS.SNS.SMS.SMSType'] = opts.smsType;
+  }
+
+  if (opts.maxPrice !== undefined) {
+    attributes['AWS.SNS.SMS.MaxPrice'] = Number(opts.maxPrice);
+  }
+
+  Object.keys(opts.messageAttributes || {}).forEach(function(key) {
+    attributes[key] = opts.messageAttributes[key];
+  });
+
+  return {
+    PhoneNumber: phoneNumber,
+    Message: text,
+    MessageAttributes: toMessageAttributes(attributes)
+  };
+}
+
+
+function validateSms(phoneNumber, text, opts) {
+  if (typeof phoneNumber !== 'string' || !E164_REGEX.test(phoneNumber)) {
+    throw new Error(util.format('Phone number "%s" must be in E.164 format, ' +
+      'e.g. +353861234567.', phoneNumber));
+  }
+
+  if (!text || typeof text !== 'string') {
+    throw new Error('Argument "text" must be a non-empty String.');
+  }
+
+  if (opts.smsType && SMS_TYPES.indexOf(opts.smsType) === -1) {
+    throw new Error('SMS option "smsType" must be "Promotional" or ' +
+      '"Transactional".');
+  }
+}
+
+
+// Convert an object of tags to the SNS format, an Array of {Key, Value}
+function toTags(tags) {
+  if (Array.isArray(tags)) {
+    return tags;
+  }
+
+  return Object.keys(tags || {}).map(function(key) {
+    return {Key: key, Value: String(tags[key])};
+  });
+}
+
+
+// Get the attributes for a subscription from the options given to subscribe
+function getSubscriptionAttributes(opts) {
+  var attributes = {};
+
+  Object.keys(opts.attributes || {}).forEach(function(key) {
+    attributes[key] = opts.attributes[key];
+  });
+
+  if (opts.filterPolicy) {
+    attributes.FilterPolicy = opts.filterPolicy;
+  }
+
+  if (opts.filterPolicyScope) {
+    attributes.FilterPolicyScope = opts.filterPolicyScope;
+  }
+
+  if (opts.rawMessageDelivery !== undefined) {
+    attributes.RawMessageDelivery = !!opts.rawMessageDelivery;
+  }
+
+  return stringifyAttributes(attributes);
+}
+
+
+
 /**
- * Delete a topic.
- * @param {String}    topicArn
+ * Delete a user from the service.
+ * @param {String}    endpointArn
  * @param {Function}  callback
  */
 
-Interface.prototype.deleteTopic = function(topicArn, callback) {
-  var params = {
-    TopicArn: topicArn
-  };
+Interface.prototype.deleteUser = function(endpointArn, callback) {
   var self = this;
-  self.sns.deleteTopic(params, function(err) {
+
+  this._call('deleteEndpoint', {
+    EndpointArn: endpointArn
+  }, function(err) {
     if (err) {
-      self.emit(EMITTED_EVENTS.DELETE_TOPIC_FAILED, topicArn, err);
       return callback(err);
     }
-    self.emit(EMITTED_EVENTS.TOPIC_DELETED, topicArn);
-    callback();
+
+    self.emit(EMITTED_EVENTS.DELETED_USER, endpointArn);
+    self._updateRegistry(endpointArn, null, function() {
+      return callback();
+    });
   });
 };
 
 
 /**
- * Get all topics for this account.
- * @param {Function} callback
+ * Save an endpoint's token and user id to the registry, or remove the
+ * endpoint if fields is null. Does nothing if there is no registry. Failures
+ * are emitted rather than returned, as the endpoint has already been
+ * changed in SNS.
+ * @param {String}    endpointArn
+ * @param {Object}    fields        Token, userId
+ * @param {Function}  callback
  */
 
-Interface.prototype.getTopics = function(callback) {
-  var topics = [];
+Interface.prototype._updateRegistry = function(endpointArn, fields, callback) {
   var self = this;
-  var nextToken;
-  async.doWhilst(function(next) {
-    self._getTopics(nextToken, function(err, res) {
-      if (err) {
-        return next(err);
-      }
-      nextToken = res.NextToken;
-      if (res.Topics && res.Topics.length) {
-        topics = topics.concat(res.Topics);
-      }
-      next();
-    });
-  }, function() {
-    return !!nextToken;
-  }, function(err) {
+
+  function done(err) {
     if (err) {
-      return callback(err);
+      self.emit(EMITTED_EVENTS.REGISTRY_UPDATE_FAILED, endpointArn, err);
     }
-    callback(null, topics);
-  });
+    callback();
+  }
+
+  if (!this.registry) {
+    return callback();
+  }
+
+  if (!fields) {
+    return this.registry.remove(endpointArn, done);
+  }
+
+  this.registry.save(endpointArn, fields, done);
 };
 
 
 /**
- * Get topics with the given NextToken (for paging).
- * @param {String}    nextToken
+ * Get the registry fields for a token and CustomUserData. The user id is
+ * read from the userIdKey property of the CustomUserData, and is left
+ * undefined if no CustomUserData is given so the current one is kept.
+ * @param   {String}        token
+ * @param   {String|Object} customUserData
+ * @return  {Object}
+ */
+
+Interface.prototype._getRegistryFields = function(token, customUserData) {
+  var data = customUserData
+    , userId;
+
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      data = null;
+    }
+  }
+
+  if (customUserData !== undefined) {
+    userId = (data && typeof data === 'object') ? data[this.userIdKey] : null;
+    userId = (userId != null) ? String(userId) : null;
+  }
+
+  return {
+    Token: token,
+    userId: userId
+  };
+};
+
+
+/**
+ * Get the EndpointArns of a user from the registry.
+ * @param {String}    userId
  * @param {Function}  callback
  */
 
-Interface.prototype._getTopics = function(nextToken, callback) {
-  var params = {};
-  if (nextToken) {
-    params.NextToken = nextToken;
+Interface.prototype.getUserEndpoints = function(userId, callback) {
+  if (!this.registry) {
+    return callback(new Error('The registry option is required to look up ' +
+      'endpoints.'), null);
   }
-  this.sns.listTopics(params, callback);
+
+  this.registry.findByUser(String(userId), callback);
 };
 
 
 /**
- * Get subscriptions; either all subscriptions for this account or those for
- * the topic ARN specified.
- * @param {String}    topicArn
+ * Get the EndpointArn for a token from the registry, or null if there is
+ * none.
+ * @param {String}    token
  * @param {Function}  callback
  */
 
-Interface.prototype.getSubscriptions = function(topicArn, callback) {
-  if (typeof topicArn === 'function') {
-    callback = topicArn;
-    topicArn = undefined;
+Interface.prototype.getEndpointByToken = function(token, callback) {
+  if (!this.registry) {
+    return callback(new Error('The registry option is required to look up ' +
+      'endpoints.'), null);
   }
-  var subscriptions = [];
+
+  this.registry.findByToken(token, callback);
+};
+
+
+/**
+ * Send a message to every endpoint of a user in the registry. The callback
+ * receives a report in the same format as broadcastMessage.
+ * @param {String}    userId
+ * @param {String}    message
+ * @param {Object}    [opts]      concurrency, ratePerSecond, dryRun
+ * @param {Function}  callback
+ */
+
+Interface.prototype.sendToUser = function(userId, message, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
   var self = this;
-  var nextToken;
-  async.doWhilst(function(next) {
-    self._getSubscriptions(nextToken, topicArn, function(err, res) {
-      if (err) {
-        return next(err);
-      }
-      nextToken = res.NextToken;
-      if (res.Subscriptions && res.Subscriptions.length) {
-        subscriptions = subscriptions.concat(res.Subscriptions);
-      }
-      next();
-    });
-  }, function() {
-    return !!nextToken;
-  }, function(err) {
+  this.getUserEndpoints(userId, function(err, endpointArns) {
     if (err) {
-      return callback(err);
+      return callback(err, null);
     }
-    callback(null, subscriptions);
+
+    var broadcast = self._createBroadcast(message, opts || {})
+      , endpoints = endpointArns.map(function(endpointArn) {
+        return {EndpointArn: endpointArn};
+      });
+
+    self._broadcastMessage(endpoints, broadcast, function() {
+      return callback(null, broadcast.report);
+    });
   });
 };
 
 
 /**
- * Get subscriptions with the given NextToken (for paging).
- * @param {String}    nextToken
- * @param {String}    topicArn
+ * Prune an endpoint if pruning is enabled and the error shows that it can no
+ * longer receive messages.
+ * @param {String}    endpointArn
+ * @param {Error}     err
  * @param {Function}  callback
  */
 
-Interface.prototype._getSubscriptions =
-  function (nextToken, topicArn, callback) {
-    var params = {};
-    if (nextToken) {
-      params.NextToken = nextToken;
-    }
-    if (!topicArn) {
-      this.sns.listSubscriptions(params, callback);
-      return;
+Interface.prototype._pruneAfterError = function(endpointArn, err, callback) {
+  if (!this.pruneEndpoints || PRUNABLE_ERRORS.indexOf(err.code) === -1) {
+    return callback();
+  }
+
+  this._pruneEndpoint(endpointArn, err.code, callback);
+};
+
+
+/**
+ * Delete a dead endpoint, or pass it to the pruneEndpoints hook if one was
+ * provided. Failures are emitted rather than returned.
+ * @param {String}    endpointArn
+ * @param {String}    reason
+ * @param {Function}  callback
+ */
+
+Interface.prototype._pruneEndpoint = function(endpointArn, reason, callback) {
+  var self = this;
+
+  function done(err) {
+    if (err) {
+      self.emit(EMITTED_EVENTS.PRUNE_FAILED, endpointArn, err);
+    } else {
+      self.emit(EMITTED_EVENTS.PRUNED_USER, endpointArn, reason);
     }
-    params.TopicArn = topicArn;
-    this.sns.listSubscriptionsByTopic(params, callback);
-  };
+    callback(err);
+  }
+
+  if (typeof this.pruneEndpoints === 'function') {
+    return this.pruneEndpoints(endpointArn, reason, done);
+  }
+
+  this.deleteUser(endpointArn, done);
+};
+
+
+/**
+ * Delete all disabled users by paging through them. The callback receives a
+ * report with the number of users scanned, disabled and deleted, and a list
+ * of failed deletions.
+ * @param {Function}  callback
+ */
+
+Interface.prototype.pruneDisabledUsers = function(callback) {
+  var self = this
+    , nextToken = null
+    , report = {
+      scanned: 0,
+      disabled: 0,
+      deleted: 0,
+      failed: []
+    };
+
+  function deleteDisabled(endpoint, cb) {
+    self.deleteUser(endpoint.EndpointArn, function(err) {
+      if (err) {
+        report.failed.push({
+          EndpointArn: endpoint.EndpointArn,
+          error: err
+        });
+      } else {
+        report.deleted++;
+      }
+      cb();
+    });
+  }
+
+  async.doWhilst(function(next) {
+    self._getUsers(nextToken, function(err, res) {
+      if (err) {
+        return next(err);
+      }
+
+      var endpoints = res.Endpoints || []
+        , disabled = endpoints.filter(function(endpoint) {
+          return endpoint.Attributes && endpoint.Attributes.Enabled === 'false';
+        });
+
+      nextToken = res.NextToken;
+      report.scanned += endpoints.length;
+      report.disabled += disabled.length;
+      async.each(disabled, deleteDisabled, next);
+    });
+  }, function() {
+    return !!nextToken;
+  }, function(err) {
+    callback(err, err ? null : report);
+  });
+};
+
+
+/**
+ * Create a topic.
+ * @param {String}    name
+ * @param {Object}    [opts]      attributes, tags
+ * @param {Function}  callback
+ */
+
+Interface.prototype.createTopic = function(name, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  opts = opts || {};
+
+  var params = {
+    Name: name
+  };
+
+  if (opts.attributes) {
+    params.Attributes = stringifyAttributes(opts.attributes);
+  }
+
+  if (opts.tags) {
+    params.Tags = toTags(opts.tags);
+  }
+
+  var self = this;
+  self._call('createTopic', params, function(err, res) {
+    if (err) {
+      self.emit(EMITTED_EVENTS.CREATE_TOPIC_FAILED, name, err);
+      return callback(err);
+    }
+    if (!res || !res.TopicArn) {
+      return callback(new Error('Response or TopicArn is null'));
+    }
+    self.emit(EMITTED_EVENTS.TOPIC_CREATED, res.TopicArn, name);
+    callback(null, res.TopicArn);
+  });
+};
+
+
+/**
+ * Delete a topic.
+ * @param {String}    topicArn
+ * @param {Function}  callback
+ */
+
+Interface.prototype.deleteTopic = function(topicArn, callback) {
+  var params = {
+    TopicArn: topicArn
+  };
+  var self = this;
+  self._call('deleteTopic', params, function(err) {
+    if (err) {
+      self.emit(EMITTED_EVENTS.DELETE_TOPIC_FAILED, topicArn, err);
+      return callback(err);
+    }
+    self.emit(EMITTED_EVENTS.TOPIC_DELETED, topicArn);
+    callback();
+  });
+};
+
+
+/**
+ * Get the attributes of a topic.
+ * @param {String}    topicArn
+ * @param {Function}  callback
+ */
+
+Interface.prototype.getTopicAttributes = function(topicArn, callback) {
+  this._call('getTopicAttributes', {
+    TopicArn: topicArn
+  }, function(err, res) {
+    return callback(err, (res && res.Attributes) ? res.Attributes : null);
+  });
+};
+
+
+/**
+ * Set attributes of a topic, e.g. DisplayName, Policy or DeliveryPolicy.
+ * Object values are sent as JSON.
+ * @param {String}    topicArn
+ * @param {Object}    attributes
+ * @param {Function}  callback
+ */
+
+Interface.prototype.setTopicAttributes =
+  function(topicArn, attributes, callback) {
+    var self = this;
+
+    this._setEachAttribute('setTopicAttributes', {TopicArn: topicArn},
+      attributes, function(err, attributes) {
+        if (err) {
+          self.emit(EMITTED_EVENTS.TOPIC_ATTRIBUTES_UPDATE_FAILED, topicArn,
+            err);
+          return callback(err, null);
+        }
+
+        self.emit(EMITTED_EVENTS.TOPIC_ATTRIBUTES_UPDATED, topicArn,
+          attributes);
+        callback(null, attributes);
+      });
+  };
+
+
+/**
+ * Add tags to a topic.
+ * @param {String}    topicArn
+ * @param {Object}    tags        Object of tag keys and values, or an Array
+ *                                of {Key, Value}
+ * @param {Function}  callback
+ */
+
+Interface.prototype.tagTopic = function(topicArn, tags, callback) {
+  this._call('tagResource', {
+    ResourceArn: topicArn,
+    Tags: toTags(tags)
+  }, function(err) {
+    return callback(err || null);
+  });
+};
+
+
+/**
+ * Set attributes one at a time, as the SNS topic and subscription operations
+ * only accept a single AttributeName and AttributeValue. The callback
+ * receives the attributes as they were sent.
+ * @param {String}    operation
+ * @param {Object}    params      TopicArn or SubscriptionArn
+ * @param {Object}    attributes
+ * @param {Function}  callback
+ */
+
+Interface.prototype._setEachAttribute =
+  function(operation, params, attributes, callback) {
+    if (!attributes || typeof attributes !== 'object') {
+      return callback(
+        new Error('Expected attributes to be of type object (' +
+          typeof attributes + ' supplied).'), null);
+    }
+
+    var self = this
+      , stringified = stringifyAttributes(attributes);
+
+    async.eachSeries(Object.keys(stringified), function(name, cb) {
+      var attributeParams = {
+        AttributeName: name,
+        AttributeValue: stringified[name]
+      };
+
+      Object.keys(params).forEach(function(key) {
+        attributeParams[key] = params[key];
+      });
+
+      self._call(operation, attributeParams, function(err) {
+        cb(err);
+      });
+    }, function(err) {
+      return callback(err || null, err ? null : stringified);
+    });
+  };
+
+
+/**
+ * Get all topics for this account.
+ * @param {Function} callback
+ */
+
+Interface.prototype.getTopics = function(callback) {
+  var topics = [];
+  var self = this;
+  var nextToken;
+  async.doWhilst(function(next) {
+    self._getTopics(nextToken, function(err, res) {
+      if (err) {
+        return next(err);
+      }
+      nextToken = res.NextToken;
+      if (res.Topics && res.Topics.length) {
+        topics = topics.concat(res.Topics);
+      }
+      next();
+    });
+  }, function() {
+    return !!nextToken;
+  }, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, topics);
+  });
+};
+
+
+/**
+ * Get topics with the given NextToken (for paging).
+ * @param {String}    nextToken
+ * @param {Function}  callback
+ */
+
+Interface.prototype._getTopics = function(nextToken, callback) {
+  var params = {};
+  if (nextToken) {
+    params.NextToken = nextToken;
+  }
+  this._call('listTopics', params, callback);
+};
+
+
+/**
+ * Get subscriptions; either all subscriptions for this account or those for
+ * the topic ARN specified.
+ * @param {String}    topicArn
+ * @param {Function}  callback
+ */
+
+Interface.prototype.getSubscriptions = function(topicArn, callback) {
+  if (typeof topicArn === 'function') {
+    callback = topicArn;
+    topicArn = undefined;
+  }
+  var subscriptions = [];
+  var self = this;
+  var nextToken;
+  async.doWhilst(function(next) {
+    self._getSubscriptions(nextToken, topicArn, function(err, res) {
+      if (err) {
+        return next(err);
+      }
+      nextToken = res.NextToken;
+      if (res.Subscriptions && res.Subscriptions.length) {
+        subscriptions = subscriptions.concat(res.Subscriptions);
+      }
+      next();
+    });
+  }, function() {
+    return !!nextToken;
+  }, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, subscriptions);
+  });
+};
+
+
+/**
+ * Get subscriptions with the given NextToken (for paging).
+ * @param {String}    nextToken
+ * @param {String}    topicArn
+ * @param {Function}  callback
+ */
+
+Interface.prototype._getSubscriptions =
+  function (nextToken, topicArn, callback) {
+    var params = {};
+    if (nextToken) {
+      params.NextToken = nextToken;
+    }
+
+    function done(err, res) {
+      // Flag subscriptions that are waiting for their endpoint to confirm
+      ((res && res.Subscriptions) || []).forEach(function(subscription) {
+        subscription.PendingConfirmation =
+          subscription.SubscriptionArn === PENDING_CONFIRMATION;
+      });
+      callback(err, res);
+    }
+
+    if (!topicArn) {
+      this._call('listSubscriptions', params, done);
+      return;
+    }
+    params.TopicArn = topicArn;
+    this._call('listSubscriptionsByTopic', params, done);
+  };
+
+
+/**
+ * Returns an async iterator of all users for this application, fetching a
+ * page of users only once the page before it has been consumed.
+ * @return {Object}
+ */
+
+Interface.prototype.iterateUsers = function() {
+  return this._createPager('users').iterator();
+};
+
+
+/**
+ * Returns a readable object stream of all users for this application.
+ * @return {stream.Readable}
+ */
+
+Interface.prototype.createUsersStream = function() {
+  return this._createPager('users').stream();
+};
+
+
+/**
+ * Returns an async iterator of all topics for this account.
+ * @return {Object}
+ */
+
+Interface.prototype.iterateTopics = function() {
+  return this._createPager('topics').iterator();
+};
+
+
+/**
+ * Returns a readable object stream of all topics for this account.
+ * @return {stream.Readable}
+ */
+
+Interface.prototype.createTopicsStream = function() {
+  return this._createPager('topics').stream();
+};
+
+
+/**
+ * Returns an async iterator of subscriptions; either all subscriptions for
+ * this account or those for the topic ARN specified.
+ * @param   {String} [topicArn]
+ * @return  {Object}
+ */
+
+Interface.prototype.iterateSubscriptions = function(topicArn) {
+  return this._createPager('subscriptions', topicArn).iterator();
+};
+
+
+/**
+ * Returns a readable object stream of subscriptions; either all
+ * subscriptions for this account or those for the topic ARN specified.
+ * @param   {String} [topicArn]
+ * @return  {stream.Readable}
+ */
+
+Interface.prototype.createSubscriptionsStream = function(topicArn) {
+  return this._createPager('subscriptions', topicArn).stream();
+};
+
+
+/**
+ * Returns an async iterator of all platform applications for this account.
+ * @return {Object}
+ */
+
+Interface.prototype.iterateApplications = function() {
+  return this._createPager('applications').iterator();
+};
+
+
+/**
+ * Returns a readable object stream of all platform applications for this
+ * account.
+ * @return {stream.Readable}
+ */
+
+Interface.prototype.createApplicationsStream = function() {
+  return this._createPager('applications').stream();
+};
+
+
+/**
+ * Create a Pager over one of the list operations using its page helper.
+ * @param   {String} type       users, topics, subscriptions or applications
+ * @param   {String} [topicArn] Only used for subscriptions
+ * @return  {Pager}
+ */
+
+Interface.prototype._createPager = function(type, topicArn) {
+  var self = this;
+
+  switch (type) {
+    case 'users':
+      return new Pager(this._getUsers.bind(this), 'Endpoints');
+    case 'topics':
+      return new Pager(this._getTopics.bind(this), 'Topics');
+    case 'subscriptions':
+      return new Pager(function(nextToken, callback) {
+        self._getSubscriptions(nextToken, topicArn, callback);
+      }, 'Subscriptions');
+    default:
+      return new Pager(this._getApplications.bind(this),
+        'PlatformApplications');
+  }
+};
+
+
+/**
+ * Subscribe an endpoint to a topic.
+ * @param {String}    endpointArn
+ * @param {String}    topicArn
+ * @param {Object}    [opts]      filterPolicy, filterPolicyScope,
+ *                                rawMessageDelivery, attributes
+ * @param {Function}  callback
+ */
+
+Interface.prototype.subscribe =
+  function(endpointArn, topicArn, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    this._subscribe('application', endpointArn, topicArn, opts, callback);
+  };
+
+
+/**
+ * Subscribe an endpoint of any protocol to a topic, e.g. an SQS queue, an
+ * HTTPS webhook or an email address. The endpoint is checked against the
+ * format for its protocol. Subscriptions to HTTP/S, email and SMS endpoints
+ * must be confirmed, until then the callback receives "pending
+ * confirmation" in place of a SubscriptionArn.
+ * @param {String}    protocol    One of SUBSCRIPTION_PROTOCOLS
+ * @param {String}    endpoint
+ * @param {String}    topicArn
+ * @param {Object}    [opts]      filterPolicy, filterPolicyScope,
+ *                                rawMessageDelivery, attributes
+ * @param {Function}  callback
+ */
+
+Interface.prototype.subscribeProtocol =
+  function(protocol, endpoint, topicArn, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    var format = SUBSCRIPTION_PROTOCOLS[protocol];
+
+    if (!format) {
+      return callback(new Error(util.format('Unsupported subscription ' +
+        'protocol "%s". Please use a protocol from ' +
+        'SNS.SUBSCRIPTION_PROTOCOLS', protocol)), null);
+    }
+
+    if (typeof endpoint !== 'string' || !format.test(endpoint)) {
+      return callback(new Error(util.format('Invalid endpoint "%s" for ' +
+        'protocol "%s".', endpoint, protocol)), null);
+    }
+
+    this._subscribe(protocol, endpoint, topicArn, opts, callback);
+  };
+
+
+/**
+ * Confirm a subscription using the token sent to its endpoint, e.g. in the
+ * SubscriptionConfirmation request sent to an HTTP/S endpoint.
+ * @param {String}    topicArn
+ * @param {String}    token
+ * @param {Object}    [opts]      authenticateOnUnsubscribe
+ * @param {Function}  callback
+ */
+
+Interface.prototype.confirmSubscription =
+  function(topicArn, token, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    var self = this
+      , params = {
+        TopicArn: topicArn,
+        Token: token
+      };
+
+    if (opts && opts.authenticateOnUnsubscribe) {
+      params.AuthenticateOnUnsubscribe = 'true';
+    }
+
+    this._call('confirmSubscription', params, function(err, res) {
+      if (err) {
+        self.emit(EMITTED_EVENTS.CONFIRM_SUBSCRIPTION_FAILED, topicArn, err);
+        return callback(err, null);
+      }
+
+      self.emit(EMITTED_EVENTS.SUBSCRIPTION_CONFIRMED, res.SubscriptionArn,
+        topicArn);
+      callback(null, res.SubscriptionArn);
+    });
+  };
+
+
+/**
+ * Subscribe an endpoint to a topic using the given protocol.
+ * @param {String}    protocol
+ * @param {String}    endpointArn
+ * @param {String}    topicArn
+ * @param {Object}    opts
+ * @param {Function}  callback
+ */
+
+Interface.prototype._subscribe =
+  function(protocol, endpointArn, topicArn, opts, callback) {
+    var params = {
+      Endpoint: endpointArn,
+      TopicArn: topicArn,
+      Protocol: protocol
+    };
+    var attributes = getSubscriptionAttributes(opts || {});
+
+    if (Object.keys(attributes).length) {
+      params.Attributes = attributes;
+    }
+
+    var self = this;
+    self._call('subscribe', params, function(err, res) {
+      if (err) {
+        self.emit(EMITTED_EVENTS.SUBSCRIBE_FAILED, endpointArn, topicArn, err);
+        return callback(err);
+      }
+      if (!res || !res.SubscriptionArn) {
+        return callback(new Error('Response or SubscriptionArn is null'));
+      }
+      self.emit(
+        EMITTED_EVENTS.SUBSCRIBED,
+        res.SubscriptionArn,
+        endpointArn,
+        topicArn
+      );
+      callback(null, res.SubscriptionArn);
+    });
+  };
+
+
+/**
+ * Unsubscribe an endpoint from a topic via its SubscriptionArn.
+ * @param {String}    subscriptionArn
+ * @param {Function}  callback
+ */
+
+Interface.prototype.unsubscribe = function(subscriptionArn, callback) {
+  var params = {
+    SubscriptionArn: subscriptionArn
+  };
+  var self = this;
+  self._call('unsubscribe', params, function(err) {
+    if (err) {
+      self.emit(EMITTED_EVENTS.UNSUBSCRIBE_FAILED, subscriptionArn, err);
+      return callback(err);
+    }
+    self.emit(EMITTED_EVENTS.UNSUBSCRIBED, subscriptionArn);
+    callback();
+  });
+};
+
+
+/**
+ * Set attributes of a subscription, e.g. FilterPolicy or RawMessageDelivery.
+ * Object values, such as a FilterPolicy, are sent as JSON.
+ * @param {String}    subscriptionArn
+ * @param {Object}    attributes
+ * @param {Function}  callback
+ */
+
+Interface.prototype.setSubscriptionAttributes =
+  function(subscriptionArn, attributes, callback) {
+    var self = this;
+
+    this._setEachAttribute('setSubscriptionAttributes', {
+      SubscriptionArn: subscriptionArn
+    }, attributes, function(err, attributes) {
+      if (err) {
+        self.emit(EMITTED_EVENTS.SUBSCRIPTION_ATTRIBUTES_UPDATE_FAILED,
+          subscriptionArn, err);
+        return callback(err, null);
+      }
+
+      self.emit(EMITTED_EVENTS.SUBSCRIPTION_ATTRIBUTES_UPDATED,
+        subscriptionArn, attributes);
+      callback(null, attributes);
+    });
+  };
+
+
+/**
+ * Create the concurrency and rate limit for a bulk subscribe or unsubscribe.
+ * Calls are also throttled by the limits of the instance, so the options can
+ * only narrow them.
+ * @param   {Object} opts     concurrency and ratePerSecond
+ * @return  {Object}
+ */
+
+Interface.prototype._createBulkRun = function(opts) {
+  return {
+    concurrency: narrow(opts.concurrency, this.concurrency) ||
+      DEFAULT_BULK_CONCURRENCY,
+    limiter: this._createCallLimiter(opts.ratePerSecond),
+    throttled: true
+  };
+};
+
+
+/**
+ * Create a RateLimiter for a single call if its ratePerSecond is lower than
+ * the instance's, which every call is already limited by.
+ * @param   {Number} ratePerSecond
+ * @return  {RateLimiter}
+ */
+
+Interface.prototype._createCallLimiter = function(ratePerSecond) {
+  return (ratePerSecond && ratePerSecond < (this.ratePerSecond || Infinity)) ?
+    new RateLimiter(ratePerSecond) : null;
+};
+
+
+/**
+ * Get the lower of a per call limit and the instance's limit.
+ * @param   {Number} limit
+ * @param   {Number} instanceLimit
+ * @return  {Number}
+ */
+
+function narrow(limit, instanceLimit) {
+  return Math.min(limit || Infinity, instanceLimit || Infinity);
+}
+
+
+/**
+ * Subscribe many endpoints to a topic. The callback receives an Array with
+ * the EndpointArn, SubscriptionArn and error for each endpoint, in the same
+ * order as endpointArns. Individual errors are not passed to the callback.
+ * @param {Array}     endpointArns
+ * @param {String}    topicArn
+ * @param {Object}    [opts]        concurrency, ratePerSecond
+ * @param {Function}  callback
+ */
+
+Interface.prototype.subscribeMany =
+  function(endpointArns, topicArn, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    if (!Array.isArray(endpointArns)) {
+      return callback(new Error('Argument "endpointArns" must be an Array.'),
+        null);
+    }
+
+    var self = this
+      , results = endpointArns.map(function(endpointArn) {
+        return {
+          EndpointArn: endpointArn,
+          SubscriptionArn: null,
+          error: null
+        };
+      });
+
+    opts = opts || {};
+
+    this._eachLimited(this._createBulkRun(opts), results,
+      function(result, cb) {
+        self.subscribe(result.EndpointArn, topicArn, opts, function(err, arn) {
+          result.SubscriptionArn = arn || null;
+          result.error = err || null;
+          cb();
+        });
+      }, function() {
+        return callback(null, results);
+      });
+  };
+
+
+/**
+ * Unsubscribe every endpoint from a topic by paging through its
+ * subscriptions. The callback receives an Array with the SubscriptionArn,
+ * Endpoint and error for each subscription. Subscriptions that are pending
+ * confirmation can't be unsubscribed and are skipped.
+ * @param {String}    topicArn
+ * @param {Object}    [opts]        concurrency, ratePerSecond
+ * @param {Function}  callback
+ */
+
+Interface.prototype.unsubscribeAll = function(topicArn, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  this._unsubscribeMatching(topicArn, null, opts || {}, callback);
+};
+
+
+/**
+ * Unsubscribe an endpoint from every topic by paging through all of the
+ * subscriptions for this account. The callback receives results in the same
+ * format as unsubscribeAll.
+ * @param {String}    endpointArn
+ * @param {Object}    [opts]        concurrency, ratePerSecond
+ * @param {Function}  callback
+ */
+
+Interface.prototype.unsubscribeEndpoint =
+  function(endpointArn, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    this._unsubscribeMatching(null, function(subscription) {
+      return subscription.Endpoint === endpointArn;
+    }, opts || {}, callback);
+  };
+
+
+/**
+ * Page through subscriptions, either those for a topic or all of them, and
+ * unsubscribe the ones that match a filter. Each page is unsubscribed from
+ * before the next page is fetched.
+ * @param {String}    topicArn
+ * @param {Function}  filter        fn(subscription), or null to match all
+ * @param {Object}    opts          concurrency, ratePerSecond
+ * @param {Function}  callback
+ */
+
+Interface.prototype._unsubscribeMatching =
+  function(topicArn, filter, opts, callback) {
+    var self = this
+      , run = this._createBulkRun(opts)
+      , results = []
+      , nextToken;
+
+    function unsubscribe(result, cb) {
+      self.unsubscribe(result.SubscriptionArn, function(err) {
+        result.error = err || null;
+        cb();
+      });
+    }
+
+    async.doWhilst(function(next) {
+      self._getSubscriptions(nextToken, topicArn, function(err, res) {
+        if (err) {
+          return next(err);
+        }
+
+        var page = (res.Subscriptions || []).filter(function(subscription) {
+          return subscription.SubscriptionArn !== PENDING_CONFIRMATION &&
+            (!filter || filter(subscription));
+        }).map(function(subscription) {
+          return {
+            SubscriptionArn: subscription.SubscriptionArn,
+            Endpoint: subscription.Endpoint,
+            error: null
+          };
+        });
+
+        nextToken = res.NextToken;
+        results = results.concat(page);
+        self._eachLimited(run, page, unsubscribe, next);
+      });
+    }, function() {
+      return !!nextToken;
+    }, function(err) {
+      return callback(err || null, results);
+    });
+  };
+
+
+/**
+ * Publish a message to a topic identified by its topic ARN.
+ * Message is JSON object or a MessageBuilder.
+ * @param {String}    topicArn
+ * @param {Object}    message
+ * @param {Object}    [opts]      messageAttributes, dryRun
+ * @param {Function}  callback    fn(err, messageId, capture), capture is
+ *                                only passed in dry run mode
+ */
+
+Interface.prototype.publishToTopic =
+  function(topicArn, message, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    if (message instanceof MessageBuilder) {
+      try {
+        message = message.render();
+      } catch (e) {
+        return callback(e);
+      }
+    }
+
+    if (!validateMessageStructure(message)) {
+      return callback(
+        new Error(
+          'Argument "message" must be in SNS multi-platform publishing format.'
+        )
+      );
+    }
+
+    var self = this
+      , params = {
+        Message: JSON.stringify(message),
+        TopicArn: topicArn,
+        MessageStructure: 'json',
+      };
+
+    if (opts && opts.messageAttributes) {
+      params.MessageAttributes = toMessageAttributes(opts.messageAttributes);
+    }
+
+    self._publish(params, opts, function(err, res, capture) {
+      if (err) {
+        self.emit(EMITTED_EVENTS.PUBLISH_FAILED, topicArn, err);
+        return callback(err);
+      }
+      if (!res || !res.MessageId) {
+        return callback(new Error('Response or MessageId is null'));
+      }
+      self._emitPublished(EMITTED_EVENTS.PUBLISHED_MESSAGE, topicArn,
+        res.MessageId, capture);
+      callback(null, res.MessageId, capture);
+    });
+
+    function validateMessageStructure(message) {
+      if (!message || !message.default) {
+        return false;
+      }
+      if (typeof message.default !== 'string') {
+        return false;
+      }
+      return true;
+    }
+  };
+
+
+/**
+ * Send an SMS message to a phone number in E.164 format, e.g. +353861234567.
+ * @param {String}    phoneNumber
+ * @param {String}    text
+ * @param {Object}    [opts]      senderId, smsType, maxPrice,
+ *                                messageAttributes, dryRun
+ * @param {Function}  callback    fn(err, messageId, capture), capture is
+ *                                only passed in dry run mode
+ */
+
+Interface.prototype.sendSms = function(phoneNumber, text, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  var self = this
+    , params;
+
+  try {
+    params = getSmsParams(phoneNumber, text, opts || {});
+  } catch (e) {
+    self.emit(EMITTED_EVENTS.SEND_SMS_FAILED, phoneNumber, e);
+    return callback(e, null);
+  }
+
+  this._publish(params, opts, function(err, res, capture) {
+    if (err) {
+      self.emit(EMITTED_EVENTS.SEND_SMS_FAILED, phoneNumber, err);
+      return callback(err, null);
+    }
+
+    self._emitPublished(EMITTED_EVENTS.SENT_SMS, phoneNumber, res.MessageId,
+      capture);
+    callback(null, res.MessageId, capture);
+  });
+};
+
+
+/**
+ * Get the SMS settings for this account.
+ * @param {Array}     [names]     Names of the attributes to get, all of them
+ *                                if not given
+ * @param {Function}  callback
+ */
+
+Interface.prototype.getSmsAttributes = function(names, callback) {
+  if (typeof names === 'function') {
+    callback = names;
+    names = null;
+  }
+
+  var params = {};
+
+  if (names) {
+    params.attributes = names;
+  }
+
+  this._call('getSMSAttributes', params, function(err, res) {
+    return callback(err, (res && res.attributes) ? res.attributes : null);
+  });
+};
+
+
+/**
+ * Update the SMS settings for this account, e.g. DefaultSMSType or
+ * MonthlySpendLimit.
+ * @param {Object}    attributes
+ * @param {Function}  callback
+ */
+
+Interface.prototype.setSmsAttributes = function(attributes, callback) {
+  if (!attributes || typeof attributes !== 'object') {
+    return callback(
+      new Error('Expected first parameter to be of type object (' +
+        typeof attributes + ' supplied).'), null);
+  }
+
+  var self = this
+    , params = {
+      attributes: stringifyAttributes(attributes)
+    };
+
+  this._call('setSMSAttributes', params, function(err) {
+    if (err) {
+      self.emit(EMITTED_EVENTS.SMS_ATTRIBUTES_UPDATE_FAILED, err);
+      return callback(err, null);
+    }
+
+    self.emit(EMITTED_EVENTS.SMS_ATTRIBUTES_UPDATED, params.attributes);
+    callback(null, params.attributes);
+  });
+};
+
+
+/**
+ * Check if a phone number has opted out of receiving SMS messages. The
+ * callback receives true if it has.
+ * @param {String}    phoneNumber
+ * @param {Function}  callback
+ */
+
+Interface.prototype.checkIfPhoneNumberIsOptedOut =
+  function(phoneNumber, callback) {
+    this._call('checkIfPhoneNumberIsOptedOut', {
+      phoneNumber: phoneNumber
+    }, function(err, res) {
+      return callback(err, err ? null : !!(res && res.isOptedOut));
+    });
+  };
+
+
+/**
+ * Get all phone numbers that have opted out of receiving SMS messages by
+ * paging through them.
+ * @param {Function}  callback
+ */
+
+Interface.prototype.listPhoneNumbersOptedOut = function(callback) {
+  var self = this
+    , phoneNumbers = []
+    , nextToken;
+
+  async.doWhilst(function(next) {
+    var params = {};
+
+    if (nextToken) {
+      params.nextToken = nextToken;
+    }
+
+    self._call('listPhoneNumbersOptedOut', params, function(err, res) {
+      if (err) {
+        return next(err);
+      }
+
+      nextToken = res.nextToken;
+      phoneNumbers = phoneNumbers.concat(res.phoneNumbers || []);
+      next();
+    });
+  }, function() {
+    return !!nextToken;
+  }, function(err) {
+    return callback(err || null, err ? null : phoneNumbers);
+  });
+};
+
+
+/**
+ * Opt a phone number back in to receiving SMS messages. A number can only be
+ * opted in once every 30 days.
+ * @param {String}    phoneNumber
+ * @param {Function}  callback
+ */
+
+Interface.prototype.optInPhoneNumber = function(phoneNumber, callback) {
+  var self = this;
+
+  this._call('optInPhoneNumber', {
+    phoneNumber: phoneNumber
+  }, function(err) {
+    if (err) {
+      self.emit(EMITTED_EVENTS.OPT_IN_FAILED, phoneNumber, err);
+      return callback(err);
+    }
+
+    self.emit(EMITTED_EVENTS.OPTED_IN, phoneNumber);
+    callback();
+  });
+};
+
+
+/**
+ * Send a message to an Android or iOS device identified by its Endpoint ARN.
+ * Message is JSON object or a MessageBuilder.
+ * @param {String}    endpointArn
+ * @param {Object}    message
+ * @param {Object}    [opts]      Passed to the platform's convert function,
+ *                                dryRun
+ * @param {Function}  callback    fn(err, messageId, capture), capture is
+ *                                only passed in dry run mode
+ */
+
+Interface.prototype.sendMessage = function(endpointArn, msg, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  var self = this
+    , format = this._getPlatformFormat();
+
+  if (!format) {
+    var e = util.format('Unsupported platform detected, "%s". Please use a ' +
+      'platform on SNS.SUPPORTED_PLATFORMS', this.platform);
+
+    throw new Error(e);
+  }
+
+  if (msg instanceof MessageBuilder) {
+    try {
+      msg = msg.render();
+    } catch (e) {
+      return callback(e, null);
+    }
+  }
+
+  this[format.convert](msg, opts, function (err, message) {
+    if (err) {
+      self.emit(EMITTED_EVENTS.FAILED_SEND, endpointArn, err);
+      return callback(err, null);
+    }
+
+    var params = {
+      Message: JSON.stringify(message),
+      TargetArn: endpointArn,
+      MessageStructure: 'json',
+    };
+
+    try {
+      var platformAttributes = getPlatformAttributes(format, opts || {});
+
+      if (platformAttributes) {
+        params.MessageAttributes = platformAttributes;
+      }
+    } catch (e) {
+      self.emit(EMITTED_EVENTS.FAILED_SEND, endpointArn, e);
+      return callback(e, null);
+    }
+
+    if (opts && opts.messageAttributes) {
+      var attributes = toMessageAttributes(opts.messageAttributes);
+
+      params.MessageAttributes = params.MessageAttributes || {};
+      Object.keys(attributes).forEach(function(key) {
+        params.MessageAttributes[key] = attributes[key];
+      });
+    }
+
+    try {
+      self._publish(params, opts, function(err, res, capture) {
+        if (err) {
+          self.emit(EMITTED_EVENTS.FAILED_SEND, endpointArn, err);
+
+          return self._pruneAfterError(endpointArn, err, function() {
+            callback(err, null);
+          });
+        }
+
+        self._emitPublished(EMITTED_EVENTS.SENT_MESSAGE, endpointArn,
+          res.MessageId, capture);
+
+        return callback(null, ((res && res.MessageId) ? res.MessageId : null),
+          capture);
+      });
+    } catch (e) {
+      return callback(e, null);
+    }
+  });
+};
+
+
+/**
+ * Send a message rendered from a template to a user. The variant is chosen
+ * by the localeKey property of the user's CustomUserData, or the locale
+ * option, and the platform of this instance. The template's variables are
+ * filled from the CustomUserData and the vars option, which takes
+ * precedence. The rendered message and opts are passed to sendMessage.
+ * @param {String}    endpointArn
+ * @param {String}    name          Name of a template in opts.templates
+ * @param {Object}    [opts]        vars, locale, messageAttributes, dryRun
+ * @param {Function}  callback
+ */
+
+Interface.prototype.sendTemplate =
+  function(endpointArn, name, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    opts = opts || {};
+
+    var self = this;
+
+    this._getUser(endpointArn, function(err, endpoint) {
+      if (err) {
+        return callback(err, null);
+      }
+
+      var rendered;
+
+      try {
+        rendered = self._renderTemplate(name, endpoint, opts);
+      } catch (e) {
+        self.emit(EMITTED_EVENTS.FAILED_SEND, endpointArn, e);
+        return callback(e, null);
+      }
+
+      rendered.opts.messageAttributes = opts.messageAttributes;
+      rendered.opts.dryRun = opts.dryRun;
+      self.sendMessage(endpointArn, rendered.message, rendered.opts,
+        callback);
+    });
+  };
+
+
+/**
+ * Render a template for an endpoint, throwing if it can't be rendered.
+ * @param   {String} name
+ * @param   {Object} endpoint   EndpointArn and Attributes, as listed by SNS
+ * @param   {Object} opts       vars, an object or fn(endpoint) called with
+ *                              the parsed endpoint, and locale
+ * @return  {Object}  locale, message and opts
+ */
+
+Interface.prototype._renderTemplate = function(name, endpoint, opts) {
+  if (!this.templates) {
+    throw new Error('A templates option is required to send templates.');
+  }
+
+  var parsed = query.parseEndpoint(endpoint)
+    , data = (parsed.CustomUserData && typeof parsed.CustomUserData ===
+      'object') ? parsed.CustomUserData : {}
+    , vars = (typeof opts.vars === 'function') ? opts.vars(parsed) : opts.vars
+    , merged = {};
+
+  [data, vars || {}].forEach(function(source) {
+    Object.keys(source).forEach(function(key) {
+      merged[key] = source[key];
+    });
+  });
+
+  return this.templates.render(name, opts.locale || data[this.localeKey],
+    String(this.platform).toUpperCase(), merged);
+};
+
+
+/**
+ * Create an empty report for a broadcast.
+ * @return  {Object}
+ */
+
+function createBroadcastReport() {
+  return {
+    attempted: 0,
+    succeeded: 0,
+    failed: 0,
+    failures: [],
+    sent: []
+  };
+}
+
+Interface.createBroadcastReport = createBroadcastReport;
+
+
+/**
+ * Create the state shared by each page of a broadcast.
+ * @param   {Object} message
+ * @param   {Object} opts     concurrency, ratePerSecond, checkpointStore and
+ *                            dryRun, falling back to the options given to
+ *                            the constructor
+ * @return  {Object}
+ */
+
+Interface.prototype._createBroadcast = function(message, opts) {
+  var dryRun = (opts.dryRun !== undefined) ? opts.dryRun : this.dryRun
+    , report = createBroadcastReport();
+
+  report.broadcastId = crypto.randomBytes(8).toString('hex');
+
+  if (dryRun) {
+    report.dryRun = true;
+  }
+
+  // Dry runs don't save or emit checkpoints since nothing was sent to resume
+  // from
+  return {
+    message: message,
+    report: report,
+    dryRun: !!dryRun,
+    concurrency: narrow(opts.concurrency, this.concurrency),
+    limiter: this._createCallLimiter(opts.ratePerSecond),
+    checkpointStore: dryRun ?
+      null : (opts.checkpointStore || this.checkpointStore),
+    checkpoint: {
+      broadcastId: report.broadcastId,
+      nextToken: null,
+      pages: 0,
+      complete: false
+    }
+  };
+};
+
+
+/**
+ * Record that a page of a broadcast has been sent. The checkpoint is emitted
+ * and saved to the checkpoint store if there is one. Once the broadcast is
+ * complete its checkpoint is removed from the store.
+ * @param {Object}    broadcast
+ * @param {String}    nextToken
+ * @param {Function}  callback
+ */
+
+Interface.prototype._saveCheckpoint =
+  function(broadcast, nextToken, callback) {
+    var checkpoint = broadcast.checkpoint
+      , store = broadcast.checkpointStore;
+
+    checkpoint.nextToken = nextToken || null;
+    checkpoint.pages++;
+    checkpoint.complete = !nextToken;
+
+    this.emit(EMITTED_EVENTS.BROADCAST_CHECKPOINT, checkpoint);
+
+    if (!store) {
+      return callback();
+    }
+
+    if (checkpoint.complete) {
+      return store.remove(checkpoint.broadcastId, callback);
+    }
+
+    store.save(checkpoint, callback);
+  };
+
+
+/**
+ * Send a message to a page of endpoints and record each outcome on the
+ * broadcast report. Send errors are recorded rather than returned.
+ * @param {Array}     endpoints
+ * @param {Object}    broadcast   Created by _createBroadcast
+ * @param {Function}  callback
+ */
+
+Interface.prototype._broadcastMessage =
+  function(endpoints, broadcast, callback) {
+    var self = this
+      , report = broadcast.report;
+
+    function record(endpointArn, err, id, capture) {
+      if (err) {
+        report.failed++;
+        report.failures.push({
+          EndpointArn: endpointArn,
+          code: err.code || null,
+          message: err.message
+        });
+        return;
+      }
+
+      var sent = {EndpointArn: endpointArn, MessageId: id};
+
+      // Messages captured in dry run mode are kept with the report
+      if (capture) {
+        sent.capture = capture;
+      }
+
+      report.succeeded++;
+      report.sent.push(sent);
+    }
+
+    // Templates are rendered for each endpoint, errors rendering them are
+    // recorded as failures to send
+    function send(endpoint, cb) {
+      var endpointArn = endpoint.EndpointArn
+        , rendered = {message: broadcast.message, opts: {}};
+
+      report.attempted++;
+
+      if (broadcast.render) {
+        try {
+          rendered = broadcast.render(endpoint);
+        } catch (e) {
+          record(endpointArn, e);
+          return cb();
+        }
+      }
+
+      rendered.opts.dryRun = broadcast.dryRun;
+      self.sendMessage(endpointArn, rendered.message, rendered.opts,
+        function(err, id, capture) {
+          record(endpointArn, err, id, capture);
+          cb();
+        });
+    }
+
+    this._eachLimited(broadcast, endpoints, send, callback);
+  };
+
+
+/**
+ * Call iterator for each item, with at most run.concurrency calls in flight
+ * and calls started no faster than run.limiter allows. If run.throttled is
+ * set, calls are also held to the limits of the instance, which publishes
+ * already are.
+ * @param {Object}    run       concurrency, limiter, throttled
+ * @param {Array}     items
+ * @param {Function}  iterator  fn(item, callback)
+ * @param {Function}  callback
+ */
+
+Interface.prototype._eachLimited = function(run, items, iterator, callback) {
+  var self = this;
+
+  function start(item, cb) {
+    if (!run.throttled) {
+      return iterator(item, cb);
+    }
+
+    self._throttle(iterator.bind(null, item), cb);
+  }
+
+  async.eachLimit(items || [], run.concurrency, function(item, cb) {
+    if (!run.limiter) {
+      return start(item, cb);
+    }
+
+    run.limiter.take(function() {
+      start(item, cb);
+    });
+  }, callback);
+};
+
+
+/**
+ * Broadcast a message to all endpoints. The callback receives a report of
+ * the outcome for each endpoint, individual send errors are not returned.
+ * Each page of endpoints is sent before the next page is fetched.
+ * @param {String}    message
+ * @param {Object}    [opts]      concurrency, ratePerSecond, dryRun
+ * @param {Function}  callback
+ */
+Interface.prototype.broadcastMessage = function(message, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  this._runBroadcast(this._createBroadcast(message, opts || {}), callback);
+};
+
+
+/**
+ * Continue a broadcast from a checkpoint emitted by, or saved during, an
+ * earlier broadcastMessage call. Sending restarts at the first page that
+ * had not been completely sent, so devices on that page may receive the
+ * message twice.
+ * @param {Object}    checkpoint
+ * @param {String}    message
+ * @param {Object}    [opts]      concurrency, ratePerSecond, checkpointStore,
+ *                                dryRun
+ * @param {Function}  callback
+ */
+
+Interface.prototype.resumeBroadcast =
+  function(checkpoint, message, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    if (!checkpoint || !checkpoint.broadcastId) {
+      return callback(
+        new Error('Argument "checkpoint" must contain a broadcastId.')
+      );
+    }
+
+    var broadcast = this._createBroadcast(message, opts || {});
+
+    broadcast.report.broadcastId = checkpoint.broadcastId;
+    broadcast.checkpoint = {
+      broadcastId: checkpoint.broadcastId,
+      nextToken: checkpoint.nextToken || null,
+      pages: checkpoint.pages || 0,
+      complete: false
+    };
+
+    if (checkpoint.complete) {
+      return callback(null, broadcast.report);
+    }
+
+    this._runBroadcast(broadcast, callback);
+  };
+
+
+/**
+ * Send a message to the endpoints that match a predicate or query object,
+ * paging through endpoints like broadcastMessage. Each endpoint is parsed
+ * into an object with the EndpointArn, Token, Enabled and CustomUserData
+ * parsed from JSON before it's matched. Disabled endpoints are skipped
+ * unless opts.includeDisabled is set. Targeted sends are not checkpointed
+ * as resuming them with resumeBroadcast would send to every endpoint.
+ * @param {Function|Object} match     fn(endpoint) or a query object, e.g.
+ *                                    {locale: 'de', appVersion: {$gte: '3'}}
+ * @param {String}          message
+ * @param {Object}          [opts]    concurrency, ratePerSecond,
+ *                                    includeDisabled, dryRun
+ * @param {Function}        callback
+ */
+
+Interface.prototype.sendToMatching =
+  function(match, message, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    opts = opts || {};
+
+    var predicate = match
+      , broadcast = this._createBroadcast(message, opts);
+
+    if (match && typeof match === 'object') {
+      try {
+        predicate = query.compile(match);
+      } catch (e) {
+        return callback(e, null);
+      }
+    } else if (typeof match !== 'function') {
+      return callback(new Error('Argument "match" must be a function or ' +
+        'a query object.'), null);
+    }
+
+    broadcast.filter = function(endpoint) {
+      var parsed = query.parseEndpoint(endpoint);
+
+      return (parsed.Enabled || !!opts.includeDisabled) && !!predicate(parsed);
+    };
+
+    this._runBroadcast(broadcast, callback);
+  };
+
+
+/**
+ * Send a message rendered from a template to every user. Each user's
+ * message is rendered as for sendTemplate, and users whose message can't
+ * be rendered, e.g. due to a missing variable, are recorded as failures in
+ * the report. The report has the same format as broadcastMessage, but
+ * checkpoints aren't emitted.
+ * @param {String}    name
+ * @param {Object}    [opts]      vars, locale, concurrency, ratePerSecond,
+ *                                dryRun
+ * @param {Function}  callback
+ */
+
+Interface.prototype.broadcastTemplate = function(name, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  opts = opts || {};
+
+  var self = this
+    , broadcast = this._createBroadcast(null, opts);
+
+  if (!this.templates || !this.templates.has(name)) {
+    return callback(new Error(util.format('Template "%s" does not exist.',
+      name)), null);
+  }
+
+  broadcast.render = function(endpoint) {
+    return self._renderTemplate(name, endpoint, opts);
+  };
+
+  this._runBroadcast(broadcast, callback);
+};
+
+
+/**
+ * Broadcast a message so that it arrives at the same local time for every
+ * user, e.g. 09:00 wherever they are. The timezone of each endpoint is read
+ * from the timezoneKey property of its CustomUserData, and endpoints without
+ * a valid timezone use the fallbackTimezone option, UTC by default. Users
+ * are counted by timezone, then timezones whose local time next comes round
+ * at the same moment are grouped, and a job is added to the scheduler option
+ * for each group to send to its users with sendToTimezone. Jobs are kept in
+ * the scheduler's store, so they survive a restart. Timezones whose local
+ * time has already passed today are sent to straight away if sendLate is
+ * set, otherwise tomorrow. The callback receives the rollout once every job
+ * has been scheduled, which can be cancelled with the scheduler's
+ * cancelRollout method. The scheduler's client must be this instance.
+ * @param {String}    message
+ * @param {String}    localTime   HH:mm, e.g. 09:00
+ * @param {Object}    opts        scheduler, fallbackTimezone, sendLate,
+ *                                concurrency, ratePerSecond, dryRun
+ * @param {Function}  callback
+ */
+
+Interface.prototype.broadcastAtLocalTime =
+  function(message, localTime, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    opts = opts || {};
+
+    var self = this
+      , fallback = opts.fallbackTimezone || 'UTC'
+      , time;
+
+    try {
+      time = timezone.parseLocalTime(localTime);
+      validateRolloutOptions(this, opts, fallback);
+    } catch (e) {
+      return callback(e, null);
+    }
+
+    this._countTimezones(fallback, function(err, counts) {
+      if (err) {
+        return callback(err, null);
+      }
+
+      var rollout = {
+        id: crypto.randomBytes(8).toString('hex'),
+        localTime: localTime,
+        groups: groupBySendAt(counts, time, opts.sendLate)
+      };
+
+      async.eachSeries(rollout.groups, function(group, cb) {
+        var target = Scheduler.TIMEZONE_PREFIX + group.timezones.join(',');
+
+        opts.scheduler.schedule(target, message, group.sendAt, {
+          rolloutId: rollout.id,
+          fallbackTimezone: fallback,
+          concurrency: opts.concurrency,
+          ratePerSecond: opts.ratePerSecond,
+          dryRun: opts.dryRun
+        }, function(err, job) {
+          if (err) {
+            return cb(err);
+          }
+
+          group.jobId = job.id;
+          self.emit(EMITTED_EVENTS.TIMEZONE_GROUP_SCHEDULED, group.timezones,
+            group.sendAt, group.count);
+          cb();
+        });
+      }, function(err) {
+        callback(err || null, rollout);
+      });
+    });
+  };
+
+
+/**
+ * Group timezones by the time their clocks next show a local time, so that
+ * each group can be sent to with one pass over the endpoints.
+ * @param   {Object}  counts      Number of endpoints by timezone
+ * @param   {Object}  localTime   hours, minutes
+ * @param   {Boolean} sendLate
+ * @return  {Array}   timezones, sendAt and count of each group, soonest first
+ */
+
+function groupBySendAt(counts, localTime, sendLate) {
+  var now = Date.now()
+    , groups = {};
+
+  Object.keys(counts).sort().forEach(function(tz) {
+    var sendAt = timezone.getNextTime(tz, localTime, now, sendLate)
+      , group = groups[sendAt] = groups[sendAt] ||
+        {timezones: [], sendAt: sendAt, count: 0};
+
+    group.timezones.push(tz);
+    group.count += counts[tz];
+  });
+
+  return Object.keys(groups).map(function(sendAt) {
+    return groups[sendAt];
+  }).sort(function(a, b) {
+    return a.sendAt - b.sendAt;
+  });
+}
+
+
+/**
+ * Throw if the options for broadcastAtLocalTime are invalid.
+ * @param {Interface} client
+ * @param {Object}    opts
+ * @param {String}    fallback
+ */
+
+function validateRolloutOptions(client, opts, fallback) {
+  if (!(opts.scheduler instanceof Scheduler)) {
+    throw new Error('Option "scheduler" must be a Scheduler, which sends ' +
+      'each timezone at its local time.');
+  }
+
+  if (opts.scheduler.client !== client) {
+    throw new Error('Option "scheduler" must send through the instance ' +
+      'broadcastAtLocalTime is called on.');
+  }
+
+  if (!timezone.isValid(fallback)) {
+    throw new Error(util.format('Option "fallbackTimezone" must be a ' +
+      'timezone such as Europe/Dublin, got "%s".', fallback));
+  }
+}
 
 
 /**
- * Subscribe an endpoint to a topic.
- * @param {String}    endpointArn
- * @param {String}    topicArn
- * @param {Function}  callback
+ * Send a message to the users in one or more timezones, as read by
+ * broadcastAtLocalTime, with a single pass over the endpoints as
+ * broadcastMessage makes. The callback receives a report in the same format
+ * as broadcastMessage, with the timezones. Checkpoints aren't emitted.
+ * @param {String|Array}  timezones
+ * @param {String}        message
+ * @param {Object}        [opts]    fallbackTimezone, concurrency,
+ *                                  ratePerSecond, dryRun
+ * @param {Function}      callback
  */
 
-Interface.prototype.subscribe = function(endpointArn, topicArn, callback) {
-  var params = {
-    Endpoint: endpointArn,
-    TopicArn: topicArn,
-    Protocol: 'application'
-  };
-  var self = this;
-  self.sns.subscribe(params, function(err, res) {
-    if (err) {
-      self.emit(EMITTED_EVENTS.SUBSCRIBE_FAILED, endpointArn, topicArn, err);
-      return callback(err);
+Interface.prototype.sendToTimezone =
+  function(timezones, message, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
     }
-    if (!res || !res.SubscriptionArn) {
-      return callback(new Error('Response or SubscriptionArn is null'));
-    }
-    self.emit(
-      EMITTED_EVENTS.SUBSCRIBED,
-      res.SubscriptionArn,
-      endpointArn,
-      topicArn
-    );
-    callback(null, res.SubscriptionArn);
-  });
-};
+
+    opts = opts || {};
+    timezones = [].concat(timezones);
+
+    var self = this
+      , getTimezone =
+        this._createTimezoneReader(opts.fallbackTimezone || 'UTC')
+      , broadcast = this._createBroadcast(message, opts);
+
+    broadcast.report.timezones = timezones;
+    broadcast.filter = function(endpoint) {
+      return timezones.indexOf(getTimezone(endpoint)) !== -1;
+    };
+
+    this._runBroadcast(broadcast, function(err, report) {
+      if (!err) {
+        self.emit(EMITTED_EVENTS.TIMEZONE_GROUP_SENT, timezones, report);
+      }
+
+      callback(err, report);
+    });
+  };
 
 
 /**
- * Unsubscribe an endpoint from a topic via its SubscriptionArn.
- * @param {String}    subscriptionArn
- * @param {Function}  callback
+ * Page through every endpoint and count them by the timezone in their
+ * CustomUserData.
+ * @param {String}    fallback    Timezone of endpoints that have none
+ * @param {Function}  callback    Receives an object of counts by timezone
  */
 
-Interface.prototype.unsubscribe = function(subscriptionArn, callback) {
-  var params = {
-    SubscriptionArn: subscriptionArn
-  };
-  var self = this;
-  self.sns.unsubscribe(params, function(err) {
-    if (err) {
-      self.emit(EMITTED_EVENTS.UNSUBSCRIBE_FAILED, subscriptionArn, err);
-      return callback(err);
-    }
-    self.emit(EMITTED_EVENTS.UNSUBSCRIBED, subscriptionArn);
-    callback();
+Interface.prototype._countTimezones = function(fallback, callback) {
+  var self = this
+    , getTimezone = this._createTimezoneReader(fallback)
+    , counts = {}
+    , nextToken = null;
+
+  async.doWhilst(function(next) {
+    self._getUsers(nextToken, function(err, res) {
+      if (err) {
+        return next(err);
+      }
+
+      nextToken = res.NextToken;
+      (res.Endpoints || []).forEach(function(endpoint) {
+        var tz = getTimezone(endpoint);
+
+        counts[tz] = (counts[tz] || 0) + 1;
+      });
+      next();
+    });
+  }, function() {
+    return !!nextToken;
+  }, function(err) {
+    callback(err || null, err ? null : counts);
   });
 };
 
 
 /**
- * Publish a message to a topic identified by its topic ARN.
- * Message is JSON object.
- * @param {String}    topicArn
- * @param {Object}    message
- * @param {Function}  callback
+ * Create a function that returns the timezone of an endpoint, or the
+ * fallback if it has no valid timezone.
+ * @param   {String} fallback
+ * @return  {Function}  fn(endpoint)
  */
 
-Interface.prototype.publishToTopic = function(topicArn, message, callback) {
-  if (!validateMessageStructure(message)) {
-    return callback(
-      new Error(
-        'Argument "message" must be in SNS multi-platform publishing format.'
-      )
-    );
-  }
+Interface.prototype._createTimezoneReader = function(fallback) {
+  var key = this.timezoneKey
+    , valid = {};
 
-  var self = this;
-  self.sns.publish({
-    Message: JSON.stringify(message),
-    TopicArn: topicArn,
-    MessageStructure: 'json',
-  }, function(err, res) {
-    if (err) {
-      self.emit(EMITTED_EVENTS.PUBLISH_FAILED, topicArn, err);
-      return callback(err);
-    }
-    if (!res || !res.MessageId) {
-      return callback(new Error('Response or MessageId is null'));
-    }
-    self.emit(EMITTED_EVENTS.PUBLISHED_MESSAGE, topicArn, res.MessageId);
-    callback(null, res.MessageId);
-  });
+  return function(endpoint) {
+    var data = query.parseEndpoint(endpoint).CustomUserData
+      , tz = (data && typeof data === 'object') ? data[key] : null;
 
-  function validateMessageStructure(message) {
-    if (!message.default) {
-      return false;
-    }
-    if (typeof message.default !== 'string') {
-      return false;
+    if (typeof tz === 'string' && valid[tz] === undefined) {
+      valid[tz] = timezone.isValid(tz);
     }
-    return true;
-  }
+
+    return valid[tz] ? tz : fallback;
+  };
 };
 
 
 /**
- * Send a message to an Android or iOS device identified by its Endpoint ARN.
- * Message is JSON object.
- * @param {String}    endpointArn
- * @param {Object}    message
+ * Send a broadcast page by page, starting from the page its checkpoint
+ * points to.
+ * @param {Object}    broadcast   Created by _createBroadcast
  * @param {Function}  callback
  */
 
-Interface.prototype.sendMessage = function(endpointArn, msg, callback) {
+Interface.prototype._runBroadcast = function(broadcast, callback) {
   var self = this
-    , convertFn = null;
+    , nextToken = broadcast.checkpoint.nextToken
+    , started = false;
 
-  if (this.platform === SUPPORTED_PLATFORMS.ANDROID ||
-      this.platform === SUPPORTED_PLATFORMS.KINDLE_FIRE) {
-    convertFn = this.convertToGcmFormat;
-  } else if (this.platform === SUPPORTED_PLATFORMS.IOS) {
-    convertFn = this.convertToApnsFormat;
-  } else {
-    var e = util.format('Unsupported platform detected, "%s". Please use a ' +
-      'platform on SNS.SUPPORTED_PLATFORMS', this.platform);
+  async.doWhilst(function(next) {
+    self._getUsers(nextToken, function(err, res) {
+      if (err) {
+        return next(err);
+      }
 
-    throw new Error(e);
-  }
+      if (!started) {
+        started = true;
+        self.emit(EMITTED_EVENTS.BROADCAST_START);
+      }
 
-  convertFn.call(this, msg, function (err, message) {
-    try {
-      self.sns.publish({
-        Message: JSON.stringify(message),
-        TargetArn: endpointArn,
-        MessageStructure: 'json',
-      }, function(err, res) {
-        if (err) {
-          self.emit(EMITTED_EVENTS.FAILED_SEND, endpointArn, err);
-        } else {
-          self.emit(EMITTED_EVENTS.SENT_MESSAGE, endpointArn, res.MessageId);
+      var endpoints = broadcast.filter ?
+        (res.Endpoints || []).filter(broadcast.filter) : res.Endpoints;
+
+      self._broadcastMessage(endpoints, broadcast, function() {
+        nextToken = res.NextToken;
+
+        if (broadcast.filter || broadcast.render || broadcast.dryRun) {
+          return next();
         }
 
-        return callback(err, ((res && res.MessageId) ? res.MessageId : null));
+        self._saveCheckpoint(broadcast, nextToken, next);
       });
-    } catch (e) {
-      return callback(e, null);
+    });
+  }, function() {
+    // Only keep going so long as we have a token
+    return !!nextToken;
+  }, function(err) {
+    if (!started) {
+      return callback(err, null);
     }
+
+    self.emit(EMITTED_EVENTS.BROADCAST_END, broadcast.report);
+    return callback(err, broadcast.report);
   });
 };
 
 
-Interface.prototype._broadcastMessage = function(endpoints, message, callback) {
-  var self = this;
+/**
+ * Get the message key and convert function for this instance's platform.
+ * @return  {Object}
+ */
 
-  async.each(endpoints, function(endpoint, cb) {
-    self.sendMessage(endpoint.EndpointArn, message, function() {
-      cb();
-    });
-  }, callback);
+Interface.prototype._getPlatformFormat = function() {
+  return PLATFORM_FORMATS[String(this.platform).toUpperCase()] || null;
 };
 
 
 /**
- * Broadcast a message to all endpoints.
- * Message send errors are ignored.
- * @param {String}    message
- * @param {Function}  callback
+ * Get the SNS message key for this instance's platform, taking the sandbox
+ * option into account. Returns null if the platform's messages aren't
+ * created by the given convert function.
+ * @param   {String} convert  Name of the convert function
+ * @return  {String}
  */
-Interface.prototype.broadcastMessage = function(message, callback) {
-  var self = this;
-  this._getUsers(null, function(err, res) {
-    if (err) {
-      return callback(err, null);
-    }
-    var nextToken = res.NextToken;
 
-    self.emit(EMITTED_EVENTS.BROADCAST_START);
+Interface.prototype._getMessageKey = function(convert) {
+  var format = this._getPlatformFormat();
 
-    self._broadcastMessage(res.Endpoints, message, function() {
-      async.whilst(function() {
-        // Only keep going so long as we have a token
-        return (typeof nextToken !== 'undefined' && nextToken !== null);
-      }, function(cb) {
-        self._getUsers(nextToken, function(err, res) {
-          if (err) {
-            return cb(err);
-          }
+  if (!format || format.convert !== convert) {
+    return null;
+  }
 
-          nextToken = res.NextToken;
-          self._broadcastMessage(res.Endpoints, message, cb);
-        });
-      }, function(err) {
-        self.emit(EMITTED_EVENTS.BROADCAST_END);
-        return callback(err);
-      });
-    });
-  });
+  return (this.sandbox && format.sandboxKey) || format.key;
 };
 
 
@@ -717,12 +3226,23 @@ Interface.deviceSupported = deviceSupported;
 
 
 /**
- * Convert a provided message to GCM format
+ * Convert a provided message to GCM format, or ADM format for Kindle Fire. A
+ * String message is combined with the options below, Objects are used as
+ * the payload.
  * @param   {String/Object} message
+ * @param   {Object}        [opts]    GCM: notification, data, priority, ttl,
+ *                                    collapseKey, channelId, fcmV1
+ *                                    ADM: data, consolidationKey,
+ *                                    expiresAfter
  * @return  {String}
  */
 
-Interface.prototype.convertToGcmFormat = function(message, callback) {
+Interface.prototype.convertToGcmFormat = function(message, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
   // GCM format expected by amazon for messages
   // {
   //   GCM: JSON.stringify({
@@ -732,49 +3252,62 @@ Interface.prototype.convertToGcmFormat = function(message, callback) {
   //   })
   // }
 
-  var container = {}
-    , key = (this.platform === SUPPORTED_PLATFORMS.ANDROID) ? 'GCM' : 'ADM';
+  var key = this._getMessageKey('convertToGcmFormat') || 'GCM'
+    , container;
 
-  if (typeof message === 'string') {
-    try {
-      container[key] = JSON.stringify({
-        data: {
-          message: message
-        }
-      });
+  try {
+    container = toGcmContainer(key, message, opts);
+  } catch (e) {
+    return callback(e, null);
+  }
 
-      callback(null, container);
-    } catch (e) {
-      callback(e, null);
-    }
+  callback(null, container);
+};
+
+
+/**
+ * Create the SNS message for convertToGcmFormat, throwing if the message
+ * can't be converted or is invalid.
+ * @param   {String}        key       GCM or ADM
+ * @param   {String/Object} message
+ * @param   {Object}        opts
+ * @return  {Object}
+ */
+
+function toGcmContainer(key, message, opts) {
+  var container = {}
+    , format = (key === 'GCM') ? gcm : adm;
+
+  if (isBuiltFromOptions(message, opts)) {
+    container[key] = format.stringify(format.buildPayload(message, opts || {}));
   } else if (message && typeof message === 'object') {
     if (message.GCM || message.ADM || message.default) {
-      callback(null, message);
+      container = message;
     } else {
-      try {
-        container[key] = JSON.stringify(message);
-
-        callback(null, container);
-      } catch (e) {
-        callback(e, null);
-      }
+      container[key] = format.stringify(message);
     }
   } else {
-    var e = new Error('Unable to convert message to ADM/GCM format. Message ' +
-      'must be String/Object.');
-
-    callback(e, null);
+    throw new Error('Unable to convert message to ADM/GCM format. ' +
+      'Message must be String/Object.');
   }
-};
+
+  return container;
+}
 
 
 /**
- * Convert a message to APNS format
+ * Convert a message to APNS format. A String message is used as the alert
+ * body and combined with the options below, Objects are used as the payload.
  * @param   {String/Object} message
+ * @param   {Object}        [opts]    title, subtitle, titleLocKey,
+ *                                    titleLocArgs, subtitleLocKey,
+ *                                    subtitleLocArgs, locKey, locArgs,
+ *                                    badge, sound, contentAvailable,
+ *                                    mutableContent, category, threadId, data
  * @return  {String}
  */
 
-Interface.prototype.convertToApnsFormat = function (message, callback) {
+Interface.prototype.convertToApnsFormat = function (message, opts, callback) {
   // APNS format expected by amazon for messages
   // {
   //   APNS: JSON.stringify({
@@ -784,36 +3317,288 @@ Interface.prototype.convertToApnsFormat = function (message, callback) {
   //   })
   // }
 
-  var APNS = this.sandbox ? 'APNS_SANDBOX' : 'APNS'
-    , messageContainer = {};
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
 
-  if (typeof message === 'string') {
-    try {
-      messageContainer[APNS] = JSON.stringify({
-        aps: {
-          alert: message
-        }
-      });
+  var APNS = this._getMessageKey('convertToApnsFormat') ||
+      (this.sandbox ? 'APNS_SANDBOX' : 'APNS')
+    , messageContainer;
 
-      callback(null, messageContainer);
-    } catch (e) {
-      callback(e, null);
-    }
+  try {
+    messageContainer = toApnsContainer(APNS, message, opts);
+  } catch (e) {
+    return callback(e, null);
+  }
+
+  callback(null, messageContainer);
+};
+
+
+/**
+ * Check if a payload should be built from a String message and options. A
+ * message can be omitted when the options alone make a payload, e.g. silent
+ * notifications or data only messages.
+ * @param   {String/Object} message
+ * @param   {Object}        opts
+ * @return  {Boolean}
+ */
+
+function isBuiltFromOptions(message, opts) {
+  return typeof message === 'string' || (message == null && !!opts);
+}
+
+
+/**
+ * Create the SNS message for convertToApnsFormat, throwing if the message
+ * can't be converted or is too large.
+ * @param   {String}        APNS      APNS or APNS_SANDBOX
+ * @param   {String/Object} message
+ * @param   {Object}        opts
+ * @return  {Object}
+ */
+
+function toApnsContainer(APNS, message, opts) {
+  var messageContainer = {};
+
+  if (isBuiltFromOptions(message, opts)) {
+    messageContainer[APNS] =
+      apns.stringify(apns.buildPayload(message, opts || {}));
   } else if (message !== null && typeof message === 'object') {
-    if (message['APNS_SANDBOX'] || message['APNS']) {
-      callback(null, message);
+    if (message[APNS] || message['APNS_SANDBOX'] || message['APNS']) {
+      [APNS, 'APNS', 'APNS_SANDBOX'].forEach(function(key) {
+        if (message[key]) {
+          apns.validateSize(message[key]);
+        }
+      });
+      messageContainer = message;
     } else {
-      try {
-        messageContainer[APNS] = JSON.stringify(message);
-        callback(null, messageContainer);
-      } catch (e) {
-        callback(e, null);
-      }
+      messageContainer[APNS] = apns.stringify(message);
     }
   } else {
-    var e = new Error('Unable to convert message to APNS format. Message' +
+    throw new Error('Unable to convert message to APNS format. Message' +
       ' must be String/Object.');
+  }
+
+  return messageContainer;
+}
+
+
+/**
+ * Convert a message to Baidu format. A String message is used as the
+ * description and combined with the options below, Objects are used as the
+ * payload.
+ * @param   {String/Object} message
+ * @param   {Object}        [opts]    title, data
+ * @return  {String}
+ */
+
+Interface.prototype.convertToBaiduFormat = function(message, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  convertMessage(callback, function() {
+    return toContainer('BAIDU', message, opts, function(message, opts) {
+      return JSON.stringify(baidu.buildPayload(message, opts));
+    }, JSON.stringify);
+  });
+};
+
+
+/**
+ * Get the message attributes a platform requires, e.g. the notification type
+ * of Windows platforms and the notification class of MPNS, or undefined if it
+ * requires none.
+ * @param   {Object} format   Entry of PLATFORM_FORMATS
+ * @param   {Object} opts     type, notificationClass
+ * @return  {Object}
+ */
+
+function getPlatformAttributes(format, opts) {
+  var attributes = {};
+
+  if (format.typeAttribute) {
+    attributes[format.typeAttribute] = {
+      DataType: 'String',
+      StringValue: opts.type || format.defaultType
+    };
+  }
+
+  if (format.classAttribute) {
+    var notificationClass = opts.notificationClass || format.defaultClass;
+
+    if (MPNS_NOTIFICATION_CLASSES.indexOf(notificationClass) === -1) {
+      throw new Error(util.format('Option "notificationClass" must be one ' +
+        'of %s, got "%s".', MPNS_NOTIFICATION_CLASSES.join(', '),
+        notificationClass));
+    }
+
+    attributes[format.classAttribute] = {
+      DataType: 'String',
+      StringValue: notificationClass
+    };
+  }
+
+  return Object.keys(attributes).length ? attributes : undefined;
+}
+
+
+/**
+ * Convert a message to an MPNS (Windows Phone) toast notification. A String
+ * message is used as the toast content and combined with the options below.
+ * Other notification types can be sent by passing an Object with the MPNS
+ * key and the type option to sendMessage.
+ * @param   {String/Object} message
+ * @param   {Object}        [opts]    title, param
+ * @return  {String}
+ */
+
+Interface.prototype.convertToMpnsFormat = function(message, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  convertMessage(callback, function() {
+    return toContainer('MPNS', message, opts, windows.buildMpnsToast);
+  });
+};
+
+
+/**
+ * Convert a message to a WNS (Windows) toast notification. A String message
+ * is used as the toast text and combined with the options below. Other
+ * notification types can be sent by passing an Object with the WNS key and
+ * the type option to sendMessage.
+ * @param   {String/Object} message
+ * @param   {Object}        [opts]    title, launch
+ * @return  {String}
+ */
 
-    callback(e, null);
+Interface.prototype.convertToWnsFormat = function(message, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
   }
+
+  convertMessage(callback, function() {
+    return toContainer('WNS', message, opts, windows.buildWnsToast);
+  });
 };
+
+
+/**
+ * Call back with the SNS message returned by convertFn, or the error it
+ * throws.
+ * @param {Function}  callback
+ * @param {Function}  convertFn
+ */
+
+function convertMessage(callback, convertFn) {
+  var container;
+
+  try {
+    container = convertFn();
+  } catch (e) {
+    return callback(e, null);
+  }
+
+  callback(null, container);
+}
+
+
+/**
+ * Create the SNS message for a platform with a single message key. Payloads
+ * are built from Strings using buildFn, Objects that already contain the key
+ * are used as they are and other Objects are serialised using objectFn.
+ * @param   {String}        key
+ * @param   {String/Object} message
+ * @param   {Object}        opts
+ * @param   {Function}      buildFn
+ * @param   {Function}      [objectFn]
+ * @return  {Object}
+ */
+
+function toContainer(key, message, opts, buildFn, objectFn) {
+  var container = {}
+    , isObject = message !== null && typeof message === 'object';
+
+  if (isBuiltFromOptions(message, opts)) {
+    container[key] = buildFn(message, opts || {});
+  } else if (isObject && (message[key] || message['default'])) {
+    container = message;
+  } else if (isObject && objectFn) {
+    container[key] = objectFn(message);
+  } else {
+    throw new Error(util.format('Unable to convert message to %s format. ' +
+      'Message must be String/Object containing the %s key.', key, key));
+  }
+
+  return container;
+}
+
+
+// Every asynchronous public method returns a Promise if a callback is omitted
+promisify.methods(Interface.prototype, [
+  'addUser',
+  'registerDevice',
+  'getUser',
+  'setAttributes',
+  'getUsers',
+  'getApplications',
+  'createApplication',
+  'getApplicationAttributes',
+  'updateApplicationAttributes',
+  'deleteApplication',
+  'deleteUser',
+  'getUserEndpoints',
+  'getEndpointByToken',
+  'sendToUser',
+  'pruneDisabledUsers',
+  'createTopic',
+  'deleteTopic',
+  'getTopicAttributes',
+  'setTopicAttributes',
+  'tagTopic',
+  'getTopics',
+  'getSubscriptions',
+  'subscribe',
+  'unsubscribe',
+  'setSubscriptionAttributes',
+  'subscribeProtocol',
+  'confirmSubscription',
+  'subscribeMany',
+  'unsubscribeAll',
+  'unsubscribeEndpoint',
+  'getSmsAttributes',
+  'setSmsAttributes',
+  'checkIfPhoneNumberIsOptedOut',
+  'listPhoneNumbersOptedOut',
+  'optInPhoneNumber',
+  'broadcastMessage',
+  'resumeBroadcast',
+  'sendToMatching',
+  'broadcastAtLocalTime',
+  'sendToTimezone',
+  'broadcastTemplate',
+  'convertToGcmFormat',
+  'convertToApnsFormat',
+  'convertToBaiduFormat',
+  'convertToMpnsFormat',
+  'convertToWnsFormat'
+]);
+
+// Methods that publish a single message resolve with the MessageId, or in dry
+// run mode with the MessageId and the captured message
+promisify.methods(Interface.prototype, [
+  'publishToTopic',
+  'sendMessage',
+  'sendSms',
+  'sendTemplate'
+], promisify.publishResult);
+
+// Required last as the PushManager uses the statics defined above
+Interface.PushManager = require('./push-manager');
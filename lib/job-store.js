@@ -0,0 +1,59 @@
+'use strict';
+
+module.exports = MemoryJobStore;
+
+var async = require('async')
+  , copy = require('./copy');
+
+/**
+ * @constructor
+ * Keeps scheduled jobs in memory. Jobs will not survive a restart, so the
+ * FileJobStore or a store backed by a database should be used for jobs that
+ * must be sent after a crash. Custom stores must implement save, remove and
+ * list.
+ * @return  {MemoryJobStore}
+ */
+
+function MemoryJobStore() {
+  this.jobs = {};
+}
+
+
+/**
+ * Save a scheduled job.
+ * @param {Object}    job
+ * @param {Function}  callback
+ */
+
+MemoryJobStore.prototype.save = function(job, callback) {
+  this.jobs[job.id] = copy(job);
+  async.setImmediate(callback);
+};
+
+
+/**
+ * Remove a job once it has been sent or cancelled.
+ * @param {String}    id
+ * @param {Function}  callback
+ */
+
+MemoryJobStore.prototype.remove = function(id, callback) {
+  delete this.jobs[id];
+  async.setImmediate(callback);
+};
+
+
+/**
+ * List every job that is still to be sent.
+ * @param {Function}  callback
+ */
+
+MemoryJobStore.prototype.list = function(callback) {
+  var jobs = this.jobs;
+
+  async.setImmediate(function() {
+    callback(null, Object.keys(jobs).map(function(id) {
+      return copy(jobs[id]);
+    }));
+  });
+};
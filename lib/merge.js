@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Recursively merge plain objects in source into target.
+ * @param   {Object} target
+ * @param   {Object} source
+ * @return  {Object}
+ */
+
+function merge(target, source) {
+  Object.keys(source || {}).forEach(function(key) {
+    var value = source[key];
+
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      target[key] = merge(target[key], value);
+    } else if (isPlainObject(value)) {
+      target[key] = merge({}, value);
+    } else {
+      target[key] = value;
+    }
+  });
+
+  return target;
+}
+
+
+/**
+ * Check if a value is an object that is neither null nor an Array.
+ * @param   {Mixed} value
+ * @return  {Boolean}
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = merge;
+module.exports.isPlainObject = isPlainObject;
@@ -0,0 +1,227 @@
+'use strict';
+
+module.exports = MessageBuilder;
+
+var util = require('util')
+  , apns = require('./apns')
+  , gcm = require('./gcm')
+  , baidu = require('./baidu')
+  , windows = require('./windows')
+  , compact = require('./compact')
+  , merge = require('./merge')
+  , isPlainObject = merge.isPlainObject
+  , PLATFORM_FORMATS = require('./platform-formats');
+
+var FIELDS = [
+  'title',
+  'body',
+  'badge',
+  'sound',
+  'data',
+  'collapseKey',
+  'ttl',
+  'priority'
+];
+
+// Renderer for the messages of each convert function in PLATFORM_FORMATS.
+// ADM messages are converted by convertToGcmFormat but have their own format.
+var RENDERERS = {
+  convertToGcmFormat: renderGcm,
+  convertToApnsFormat: renderApns,
+  convertToBaiduFormat: renderBaidu,
+  convertToMpnsFormat: renderMpns,
+  convertToWnsFormat: renderWns
+};
+
+var KEY_RENDERERS = {
+  ADM: renderAdm
+};
+
+// Renderer for every message key of every platform, including sandboxes
+var PLATFORM_RENDERERS = {};
+
+Object.keys(PLATFORM_FORMATS).forEach(function(platform) {
+  var format = PLATFORM_FORMATS[platform];
+
+  [format.key, format.sandboxKey].filter(Boolean).forEach(function(key) {
+    PLATFORM_RENDERERS[key] = KEY_RENDERERS[key] || RENDERERS[format.convert];
+  });
+});
+
+var PLATFORM_KEYS = Object.keys(PLATFORM_RENDERERS);
+
+/**
+ * @constructor
+ * Builds a single SNS multi-platform message from platform independent
+ * fields, e.g. title, body, badge, sound and data.
+ * @param   {Object} [fields]
+ * @return  {MessageBuilder}
+ */
+
+function MessageBuilder(fields) {
+  this.fields = {};
+  this.overrides = {};
+
+  Object.keys(fields || {}).forEach(function(field) {
+    this.set(field, fields[field]);
+  }, this);
+}
+
+MessageBuilder.FIELDS = FIELDS;
+MessageBuilder.PLATFORM_KEYS = PLATFORM_KEYS;
+
+
+/**
+ * Set one of the fields in MessageBuilder.FIELDS.
+ * @param   {String}  field
+ * @param   {Mixed}   value
+ * @return  {MessageBuilder}
+ */
+
+MessageBuilder.prototype.set = function(field, value) {
+  if (FIELDS.indexOf(field) === -1) {
+    throw new Error(util.format('Unsupported message field, "%s". Please ' +
+      'provide a field from MessageBuilder.FIELDS', field));
+  }
+
+  this.fields[field] = value;
+
+  return this;
+};
+
+
+/**
+ * Merge the given object over the rendered payload for one platform key.
+ * MPNS and WNS payloads are XML, so their override is a String that replaces
+ * the rendered payload.
+ * @param   {String}        key       One of MessageBuilder.PLATFORM_KEYS
+ * @param   {Object|String} payload
+ * @return  {MessageBuilder}
+ */
+
+MessageBuilder.prototype.override = function(key, payload) {
+  if (PLATFORM_KEYS.indexOf(key) === -1) {
+    throw new Error(util.format('Unsupported platform key, "%s". Please ' +
+      'provide a key from MessageBuilder.PLATFORM_KEYS', key));
+  }
+
+  if (typeof payload === 'string') {
+    this.overrides[key] = payload;
+  } else {
+    this.overrides[key] = merge(isPlainObject(this.overrides[key]) ?
+      this.overrides[key] : {}, payload);
+  }
+
+  return this;
+};
+
+
+/**
+ * Render the message in SNS multi-platform publishing format.
+ * @return  {Object}
+ */
+
+MessageBuilder.prototype.render = function() {
+  var fields = this.fields
+    , overrides = this.overrides
+    , message = {};
+
+  if (!fields.title && !fields.body) {
+    throw new Error('A message requires a title or body.');
+  }
+
+  message['default'] = fields.body || fields.title;
+
+  PLATFORM_KEYS.forEach(function(key) {
+    var payload = PLATFORM_RENDERERS[key](fields)
+      , override = overrides[key];
+
+    if (typeof payload === 'string') {
+      message[key] = (typeof override === 'string') ? override : payload;
+    } else {
+      message[key] = JSON.stringify(merge(payload,
+        isPlainObject(override) ? override : {}));
+    }
+
+    if (PLATFORM_RENDERERS[key] === renderApns) {
+      apns.validateSize(message[key]);
+    }
+  });
+
+  return message;
+};
+
+
+function renderGcm(fields) {
+  return gcm.buildPayload(null, {
+    notification: compact({
+      title: fields.title,
+      body: fields.body,
+      sound: fields.sound
+    }),
+    data: stringifyValues(compact(merge({}, fields.data || {}))),
+    collapseKey: fields.collapseKey,
+    ttl: fields.ttl,
+    priority: fields.priority
+  });
+}
+
+
+function renderAdm(fields) {
+  var data = merge({
+    title: fields.title,
+    message: fields.body
+  }, fields.data || {});
+
+  return compact({
+    data: stringifyValues(compact(data)),
+    consolidationKey: fields.collapseKey,
+    expiresAfter: fields.ttl
+  });
+}
+
+
+function renderBaidu(fields) {
+  return baidu.buildPayload(fields.body, compact({
+    title: fields.title,
+    data: fields.data
+  }));
+}
+
+
+function renderMpns(fields) {
+  return windows.buildMpnsToast(fields.body, {title: fields.title});
+}
+
+
+function renderWns(fields) {
+  return windows.buildWnsToast(fields.body, {title: fields.title});
+}
+
+
+/**
+ * Convert the values of an object to Strings, as GCM and ADM only accept
+ * String values in data.
+ * @param   {Object} data
+ * @return  {Object}
+ */
+
+function stringifyValues(data) {
+  Object.keys(data).forEach(function(key) {
+    if (typeof data[key] !== 'string') {
+      data[key] = JSON.stringify(data[key]);
+    }
+  });
+
+  return data;
+}
+
+
+function renderApns(fields) {
+  return apns.buildPayload(fields.body, {
+    title: fields.title,
+    badge: fields.badge,
+    sound: fields.sound,
+    data: fields.data
+  });
+}
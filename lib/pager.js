@@ -0,0 +1,140 @@
+'use strict';
+
+module.exports = Pager;
+
+var stream = require('stream');
+
+/**
+ * @constructor
+ * Fetches the pages of an SNS list operation one at a time, so that only the
+ * page being consumed is held in memory.
+ * @param   {Function} fetchPage  fn(nextToken, callback) that fetches a page
+ * @param   {String}   key        Property of each page holding the items,
+ *                                e.g. Endpoints
+ * @return  {Pager}
+ */
+
+function Pager(fetchPage, key) {
+  this.fetchPage = fetchPage;
+  this.key = key;
+  this.nextToken = null;
+  this.done = false;
+}
+
+
+/**
+ * Fetch the next page. The callback receives the items on the page, or null
+ * once every page has been fetched.
+ * @param {Function}  callback
+ */
+
+Pager.prototype.nextPage = function(callback) {
+  if (this.done) {
+    return callback(null, null);
+  }
+
+  var self = this;
+  this.fetchPage(this.nextToken, function(err, res) {
+    if (err) {
+      return callback(err, null);
+    }
+
+    self.nextToken = res.NextToken;
+    self.done = !self.nextToken;
+    callback(null, res[self.key] || []);
+  });
+};
+
+
+/**
+ * Returns an async iterator of every item. A page is only fetched once the
+ * items from the page before it have been consumed. Calls to next made while
+ * a page is being fetched wait for it, so each item is returned once.
+ * @return {Object}
+ */
+
+Pager.prototype.iterator = function() {
+  var self = this
+    , items = []
+    , pending = Promise.resolve()
+    , iterator = {};
+
+  function step() {
+    if (items.length) {
+      return Promise.resolve({value: items.shift(), done: false});
+    }
+
+    return new Promise(function(resolve, reject) {
+      self.nextPage(function(err, page) {
+        if (err) {
+          return reject(err);
+        }
+
+        if (!page) {
+          return resolve({value: undefined, done: true});
+        }
+
+        items = page;
+        resolve(step());
+      });
+    });
+  }
+
+  iterator.next = function() {
+    var result = pending.then(step);
+
+    // A failed call rejects on its own, later calls still get their turn
+    pending = result['catch'](function() {});
+
+    return result;
+  };
+
+  iterator['return'] = function(value) {
+    items = [];
+    self.done = true;
+
+    return Promise.resolve({value: value, done: true});
+  };
+
+  iterator[Symbol.asyncIterator] = function() {
+    return iterator;
+  };
+
+  return iterator;
+};
+
+
+/**
+ * Returns a readable object stream of every item. A page is only fetched
+ * when the stream's buffer needs more items, so a slow consumer stops
+ * pages being fetched.
+ * @return {stream.Readable}
+ */
+
+Pager.prototype.stream = function() {
+  var self = this
+    , readable = new stream.Readable({objectMode: true});
+
+  readable._read = function() {
+    self.nextPage(function(err, page) {
+      if (err) {
+        return readable.emit('error', err);
+      }
+
+      if (!page) {
+        return readable.push(null);
+      }
+
+      if (!page.length) {
+        // Nothing was pushed, so _read won't be called again by the stream
+        return readable._read();
+      }
+
+      page.forEach(function(item) {
+        readable.push(item);
+      });
+    });
+  };
+
+  return readable;
+};
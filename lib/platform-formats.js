@@ -0,0 +1,41 @@
+'use strict';
+
+// The SNS message key and convert function used for each platform. Windows
+// platforms also need the notification type sent as a message attribute, and
+// MPNS the notification class.
+module.exports = {
+  ANDROID: {key: 'GCM', convert: 'convertToGcmFormat'},
+  FCM: {key: 'GCM', convert: 'convertToGcmFormat'},
+  IOS: {
+    key: 'APNS',
+    sandboxKey: 'APNS_SANDBOX',
+    convert: 'convertToApnsFormat'
+  },
+  APNS_VOIP: {
+    key: 'APNS_VOIP',
+    sandboxKey: 'APNS_VOIP_SANDBOX',
+    convert: 'convertToApnsFormat'
+  },
+  APNS_VOIP_SANDBOX: {key: 'APNS_VOIP_SANDBOX', convert: 'convertToApnsFormat'},
+  MACOS: {
+    key: 'MACOS',
+    sandboxKey: 'MACOS_SANDBOX',
+    convert: 'convertToApnsFormat'
+  },
+  KINDLE_FIRE: {key: 'ADM', convert: 'convertToGcmFormat'},
+  BAIDU: {key: 'BAIDU', convert: 'convertToBaiduFormat'},
+  MPNS: {
+    key: 'MPNS',
+    convert: 'convertToMpnsFormat',
+    typeAttribute: 'AWS.SNS.MOBILE.MPNS.Type',
+    defaultType: 'toast',
+    classAttribute: 'AWS.SNS.MOBILE.MPNS.NotificationClass',
+    defaultClass: 'realtime'
+  },
+  WNS: {
+    key: 'WNS',
+    convert: 'convertToWnsFormat',
+    typeAttribute: 'AWS.SNS.MOBILE.WNS.Type',
+    defaultType: 'wns/toast'
+  }
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Wrap a Node-style callback function so that it returns a Promise when it
+ * is invoked without a callback. The callback is assumed to be the last
+ * declared parameter of fn, missing optional arguments are padded. The
+ * Promise resolves with the first result, or with what toResult returns for
+ * all of the results if it is given.
+ * @param   {Function} fn
+ * @param   {Function} [toResult]
+ * @return  {Function}
+ */
+
+function promisify(fn, toResult) {
+  var arity = fn.length;
+
+  return function() {
+    var self = this
+      , args = Array.prototype.slice.call(arguments);
+
+    if (typeof args[args.length - 1] === 'function') {
+      return fn.apply(self, args);
+    }
+
+    args.length = Math.max(arity - 1, 0);
+
+    return new Promise(function(resolve, reject) {
+      args.push(function(err, res) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(toResult ?
+          toResult.apply(null, Array.prototype.slice.call(arguments, 1)) :
+          res);
+      });
+
+      fn.apply(self, args);
+    });
+  };
+}
+
+module.exports = promisify;
+
+
+/**
+ * Replace each named method on the given prototype with a version that
+ * supports both callbacks and Promises.
+ * @param {Object}    proto
+ * @param {Array}     names
+ * @param {Function}  [toResult]
+ */
+
+module.exports.methods = function(proto, names, toResult) {
+  names.forEach(function(name) {
+    proto[name] = promisify(proto[name], toResult);
+  });
+};
+
+
+/**
+ * Result of methods that publish a single message, the MessageId, or in dry
+ * run mode the MessageId and the captured message.
+ * @param   {String} messageId
+ * @param   {Object} [capture]
+ * @return  {String|Object}
+ */
+
+module.exports.publishResult = function(messageId, capture) {
+  return capture ? {MessageId: messageId, capture: capture} : messageId;
+};
@@ -0,0 +1,362 @@
+'use strict';
+
+module.exports = PushManager;
+
+var async = require('async')
+  , util = require('util')
+  , events = require('events')
+  , Interface = require('./interface')
+  , promisify = require('./promisify')
+  , extend = require('./extend');
+
+// Platform and sandbox setting to use for each platform that can appear in a
+// PlatformApplicationArn, e.g. arn:aws:sns:eu-west-1:1234:app/GCM/MyApp
+var ARN_PLATFORMS = {
+  GCM: {platform: 'ANDROID'},
+  APNS: {platform: 'IOS'},
+  APNS_SANDBOX: {platform: 'IOS', sandbox: true},
+  APNS_VOIP: {platform: 'APNS_VOIP'},
+  APNS_VOIP_SANDBOX: {platform: 'APNS_VOIP', sandbox: true},
+  MACOS: {platform: 'MACOS'},
+  MACOS_SANDBOX: {platform: 'MACOS', sandbox: true},
+  ADM: {platform: 'KINDLE_FIRE'},
+  BAIDU: {platform: 'BAIDU'},
+  MPNS: {platform: 'MPNS'},
+  WNS: {platform: 'WNS'}
+};
+
+var APPLICATION_ARN_REGEX = /:app\/([^\/]+)\/([^\/]+)$/;
+
+var ENDPOINT_ARN_REGEX = /:endpoint\/([^\/]+)\/([^\/]+)\/[^\/]+$/;
+
+/**
+ * @constructor
+ * Routes calls across several platform applications, each of which has its
+ * own Interface. Events emitted by each Interface are emitted by the manager
+ * with the name of the application added as the last argument.
+ * @param   {Object} opts     applications, a map of application names to
+ *                            Interface options, and any options to share
+ *                            between all of the applications
+ * @return  {PushManager}
+ */
+
+function PushManager(opts) {
+  opts = opts || {};
+
+  var self = this
+    , applications = opts.applications || {};
+
+  this.options = omit(opts, 'applications');
+  this.applications = {};
+
+  // Account level calls, such as listing applications, don't depend on the
+  // platform. The SNS client is shared by every application.
+  this.client = new Interface(extend({}, this.options, {
+    platform: Interface.SUPPORTED_PLATFORMS.ANDROID
+  }));
+  this.options.sns = this.client.sns;
+
+  events.EventEmitter.call(this);
+
+  Object.keys(applications).forEach(function(name) {
+    self.addApplication(name, applications[name]);
+  });
+}
+
+util.inherits(PushManager, events.EventEmitter);
+
+
+/**
+ * Add a platform application to the manager.
+ * @param   {String} name
+ * @param   {Object} opts     platform, platformApplicationArn and sandbox,
+ *                            plus any Interface options to override
+ * @return  {Interface}
+ */
+
+PushManager.prototype.addApplication = function(name, opts) {
+  if (this.applications[name]) {
+    throw new Error(util.format('Application "%s" has already been added.',
+      name));
+  }
+
+  var self = this
+    , app = new Interface(extend({}, this.options, opts, {
+      sns: this.options.sns
+    }));
+
+  Object.keys(Interface.EVENTS).forEach(function(key) {
+    var evt = Interface.EVENTS[key];
+
+    app.on(evt, function() {
+      var args = Array.prototype.slice.call(arguments);
+
+      self.emit.apply(self, [evt].concat(args, name));
+    });
+  });
+
+  this.applications[name] = app;
+
+  return app;
+};
+
+
+/**
+ * Returns the Interface for an application, or null if there is none.
+ * @param   {String} name
+ * @return  {Interface}
+ */
+
+PushManager.prototype.getApplication = function(name) {
+  return this.applications[name] || null;
+};
+
+
+/**
+ * Returns the names of all applications.
+ * @return {Array}
+ */
+
+PushManager.prototype.getApplicationNames = function() {
+  return Object.keys(this.applications);
+};
+
+
+/**
+ * Add every platform application in the account that hasn't been added
+ * already. Applications are named by the platform and name in their
+ * PlatformApplicationArn, e.g. "GCM/MyApp". The callback receives the names
+ * of the applications that were added.
+ * @param {Function}  callback
+ */
+
+PushManager.prototype.discoverApplications = function(callback) {
+  var self = this;
+
+  this.client.getApplications(function(err, applications) {
+    if (err) {
+      return callback(err, null);
+    }
+
+    var added = [];
+
+    applications.forEach(function(application) {
+      var arn = application.PlatformApplicationArn
+        , match = APPLICATION_ARN_REGEX.exec(arn)
+        , platform = match && ARN_PLATFORMS[match[1]];
+
+      if (!platform || self._findByApplicationArn(arn)) {
+        return;
+      }
+
+      var name = match[1] + '/' + match[2];
+
+      self.addApplication(name, extend({
+        platformApplicationArn: arn
+      }, platform));
+      added.push(name);
+    });
+
+    return callback(null, added);
+  });
+};
+
+
+/**
+ * Find the Interface to use for a target. The target can be an application
+ * name, an EndpointArn, a PlatformApplicationArn, a platform from
+ * SNS.SUPPORTED_PLATFORMS, or the platform in a PlatformApplicationArn such
+ * as APNS_SANDBOX. An error is thrown if no application, or more than one
+ * application, matches.
+ * @param   {String} target
+ * @return  {Interface}
+ */
+
+PushManager.prototype.route = function(target) {
+  var app = this.applications[target] || this._findByArn(target);
+
+  if (app) {
+    return app;
+  }
+
+  var matches = this._findByPlatform(target);
+
+  if (matches.length === 1) {
+    return matches[0];
+  } else if (matches.length > 1) {
+    throw new Error(util.format('"%s" matches more than one application. ' +
+      'Please use an application name.', target));
+  }
+
+  throw new Error(util.format('No application matches "%s".', target));
+};
+
+
+PushManager.prototype._findByArn = function(arn) {
+  if (typeof arn !== 'string') {
+    return null;
+  }
+
+  return this._findByApplicationArn(arn.replace(ENDPOINT_ARN_REGEX,
+    ':app/$1/$2'));
+};
+
+
+PushManager.prototype._findByApplicationArn = function(arn) {
+  var self = this;
+
+  return this.getApplicationNames().map(function(name) {
+    return self.applications[name];
+  }).filter(function(app) {
+    return app.getPlatformApplicationArn() === arn;
+  })[0] || null;
+};
+
+
+PushManager.prototype._findByPlatform = function(platform) {
+  var self = this
+    , target = String(platform).toUpperCase();
+
+  return this.getApplicationNames().map(function(name) {
+    return self.applications[name];
+  }).filter(function(app) {
+    var match = APPLICATION_ARN_REGEX.exec(app.getPlatformApplicationArn());
+
+    return String(app.platform).toUpperCase() === target ||
+      Boolean(match && match[1] === target);
+  });
+};
+
+
+/**
+ * Call a method on the Interface for a target, passing any routing error to
+ * the callback.
+ * @param {String}    target
+ * @param {String}    method
+ * @param {Array}     args      Arguments for the method, without a callback
+ * @param {Function}  callback
+ */
+
+PushManager.prototype._routeCall = function(target, method, args, callback) {
+  var app;
+
+  try {
+    app = this.route(target);
+  } catch (e) {
+    return callback(e, null);
+  }
+
+  app[method].apply(app, args.concat(callback));
+};
+
+
+/**
+ * Add a user to the application for a target, see route.
+ * @param {String}    target
+ * @param {String}    deviceId
+ * @param {String}    [customUserData]
+ * @param {Function}  callback
+ */
+
+PushManager.prototype.addUser =
+  function(target, deviceId, customUserData, callback) {
+    if (typeof customUserData === 'function') {
+      callback = customUserData;
+      customUserData = null;
+    }
+
+    this._routeCall(target, 'addUser', [deviceId, customUserData], callback);
+  };
+
+
+/**
+ * Send a message to an endpoint using the application it belongs to.
+ * @param {String}    endpointArn
+ * @param {Object}    message
+ * @param {Object}    [opts]
+ * @param {Function}  callback
+ */
+
+PushManager.prototype.sendMessage =
+  function(endpointArn, message, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    this._routeCall(endpointArn, 'sendMessage', [endpointArn, message, opts],
+      callback);
+  };
+
+
+/**
+ * Broadcast a message to the users of every application at the same time.
+ * The callback receives a report that combines the report from each
+ * application, which are also available by name in report.applications.
+ * If paging through the users of an application fails the other
+ * applications continue and the first error is passed to the callback.
+ * @param {Object}    message
+ * @param {Object}    [opts]      Options for Interface.broadcastMessage
+ * @param {Function}  callback
+ */
+
+PushManager.prototype.broadcastMessage = function(message, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+
+  var self = this
+    , report = Interface.createBroadcastReport()
+    , errors = [];
+
+  report.applications = {};
+
+  async.each(this.getApplicationNames(), function(name, cb) {
+    self.applications[name].broadcastMessage(message, opts || {},
+      function(err, appReport) {
+        if (err) {
+          errors.push(err);
+        }
+
+        report.applications[name] = appReport;
+        mergeReport(report, appReport);
+        cb();
+      });
+  }, function() {
+    return callback(errors[0] || null, report);
+  });
+};
+
+
+function mergeReport(report, appReport) {
+  if (!appReport) {
+    return;
+  }
+
+  report.attempted += appReport.attempted;
+  report.succeeded += appReport.succeeded;
+  report.failed += appReport.failed;
+  report.failures = report.failures.concat(appReport.failures);
+  report.sent = report.sent.concat(appReport.sent);
+}
+
+
+function omit(obj, key) {
+  var copy = extend({}, obj);
+
+  delete copy[key];
+
+  return copy;
+}
+
+
+// Every asynchronous public method returns a Promise if a callback is omitted
+promisify.methods(PushManager.prototype, [
+  'discoverApplications',
+  'addUser',
+  'broadcastMessage'
+]);
+
+promisify.methods(PushManager.prototype, ['sendMessage'],
+  promisify.publishResult);
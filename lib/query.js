@@ -0,0 +1,174 @@
+'use strict';
+
+var util = require('util');
+
+// Versions such as 3.2 or 3.10.1 are compared segment by segment
+var VERSION_REGEX = /^\d+(\.\d+)*$/;
+
+// Properties of an endpoint that a query matches directly, rather than
+// matching the property in its CustomUserData
+var ENDPOINT_KEYS = ['EndpointArn', 'Token', 'Enabled'];
+
+var OPERATORS = {
+  $eq: function(value, operand) {
+    return compare(value, operand) === 0;
+  },
+  $ne: function(value, operand) {
+    return compare(value, operand) !== 0;
+  },
+  $gt: function(value, operand) {
+    return value !== undefined && compare(value, operand) > 0;
+  },
+  $gte: function(value, operand) {
+    return value !== undefined && compare(value, operand) >= 0;
+  },
+  $lt: function(value, operand) {
+    return value !== undefined && compare(value, operand) < 0;
+  },
+  $lte: function(value, operand) {
+    return value !== undefined && compare(value, operand) <= 0;
+  },
+  $in: function(value, operand) {
+    return toArray(operand).some(function(item) {
+      return compare(value, item) === 0;
+    });
+  },
+  $nin: function(value, operand) {
+    return !OPERATORS.$in(value, operand);
+  },
+  $exists: function(value, operand) {
+    return (value !== undefined) === Boolean(operand);
+  }
+};
+
+
+/**
+ * Parse the attributes of an endpoint, as listed by SNS, into an object with
+ * the EndpointArn, Token, Enabled as a Boolean, and CustomUserData parsed
+ * from JSON where possible.
+ * @param   {Object} endpoint
+ * @return  {Object}
+ */
+
+exports.parseEndpoint = function(endpoint) {
+  var attributes = endpoint.Attributes || {}
+    , data = attributes.CustomUserData;
+
+  try {
+    data = data ? JSON.parse(data) : {};
+  } catch (e) {
+    // Leave data that isn't JSON as a String
+  }
+
+  return {
+    EndpointArn: endpoint.EndpointArn,
+    Token: attributes.Token,
+    Enabled: String(attributes.Enabled) !== 'false',
+    CustomUserData: data
+  };
+};
+
+
+/**
+ * Create a predicate for parsed endpoints from a query object. Each key in
+ * the query is a property of the CustomUserData, which can be a path such
+ * as "device.os", or one of EndpointArn, Token and Enabled. Each value is
+ * either the value to match or an object of operators, e.g. {$gte: '3.2'}.
+ * @param   {Object}   query
+ * @return  {Function}
+ */
+
+exports.compile = function(query) {
+  var conditions = Object.keys(query).map(function(key) {
+    return {key: key, test: compileCondition(query[key])};
+  });
+
+  return function(endpoint) {
+    return conditions.every(function(condition) {
+      return condition.test(getValue(endpoint, condition.key));
+    });
+  };
+};
+
+
+function compileCondition(condition) {
+  if (!isOperatorObject(condition)) {
+    return function(value) {
+      return OPERATORS.$eq(value, condition);
+    };
+  }
+
+  var tests = Object.keys(condition).map(function(operator) {
+    if (!OPERATORS[operator]) {
+      throw new Error(util.format('Unsupported query operator "%s".',
+        operator));
+    }
+
+    return function(value) {
+      return OPERATORS[operator](value, condition[operator]);
+    };
+  });
+
+  return function(value) {
+    return tests.every(function(test) {
+      return test(value);
+    });
+  };
+}
+
+
+function isOperatorObject(condition) {
+  return Boolean(condition) && typeof condition === 'object' &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every(function(key) {
+      return key.charAt(0) === '$';
+    });
+}
+
+
+function getValue(endpoint, key) {
+  if (ENDPOINT_KEYS.indexOf(key) !== -1) {
+    return endpoint[key];
+  }
+
+  return key.split('.').reduce(function(value, part) {
+    return (value && typeof value === 'object') ? value[part] : undefined;
+  }, endpoint.CustomUserData);
+}
+
+
+// Returns a negative number, zero or a positive number. Values that can't be
+// ordered, such as undefined, are never equal to anything but themselves.
+function compare(a, b) {
+  if (typeof a === 'string' && typeof b === 'string' &&
+    VERSION_REGEX.test(a) && VERSION_REGEX.test(b)) {
+    return compareVersions(a, b);
+  }
+
+  if (a === b) {
+    return 0;
+  }
+
+  return (a < b) ? -1 : ((a > b) ? 1 : NaN);
+}
+
+
+function compareVersions(a, b) {
+  var left = a.split('.').map(Number)
+    , right = b.split('.').map(Number);
+
+  for (var i = 0; i < Math.max(left.length, right.length); i++) {
+    var diff = (left[i] || 0) - (right[i] || 0);
+
+    if (diff) {
+      return diff;
+    }
+  }
+
+  return 0;
+}
+
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
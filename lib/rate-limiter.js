@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = RateLimiter;
+
+var async = require('async');
+
+/**
+ * @constructor
+ * Token bucket that lets through at most ratePerSecond calls each second,
+ * allowing a burst of up to one second's worth of calls.
+ * @param   {Number} ratePerSecond
+ * @return  {RateLimiter}
+ */
+
+function RateLimiter(ratePerSecond) {
+  if (typeof ratePerSecond !== 'number' || ratePerSecond <= 0) {
+    throw new Error('RateLimiter requires a ratePerSecond greater than 0.');
+  }
+
+  this.ratePerSecond = ratePerSecond;
+  this.capacity = Math.max(ratePerSecond, 1);
+  this.tokens = this.capacity;
+  this.lastRefill = Date.now();
+  this.queue = [];
+  this.timer = null;
+}
+
+
+/**
+ * Call the callback once a token is available.
+ * @param {Function}  callback
+ */
+
+RateLimiter.prototype.take = function(callback) {
+  this.queue.push(callback);
+  this._drain();
+};
+
+
+/**
+ * Add the tokens earned since the last refill.
+ */
+
+RateLimiter.prototype._refill = function() {
+  var now = Date.now()
+    , earned = (now - this.lastRefill) * this.ratePerSecond / 1000;
+
+  this.tokens = Math.min(this.capacity, this.tokens + earned);
+  this.lastRefill = now;
+};
+
+
+/**
+ * Release queued callbacks while tokens last, and schedule another drain for
+ * when the next token will be available.
+ */
+
+RateLimiter.prototype._drain = function() {
+  var self = this;
+
+  this._refill();
+
+  while (this.queue.length && this.tokens >= 1) {
+    this.tokens -= 1;
+    async.setImmediate(this.queue.shift());
+  }
+
+  if (this.queue.length && !this.timer) {
+    var wait = Math.ceil((1 - this.tokens) * 1000 / this.ratePerSecond);
+
+    this.timer = setTimeout(function() {
+      self.timer = null;
+      self._drain();
+    }, wait);
+  }
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+module.exports = RetryPolicy;
+
+// Error codes SNS returns for throttled or transient failures
+var RETRYABLE_ERRORS = [
+  'Throttling',
+  'ThrottlingException',
+  'ThrottledException',
+  'RequestThrottled',
+  'InternalError',
+  'InternalFailure',
+  'ServiceUnavailable',
+  'RequestTimeout'
+];
+
+/**
+ * @constructor
+ * Decides whether a failed SNS call should be retried and how long to wait
+ * before doing so. Delays grow exponentially from baseDelay up to maxDelay.
+ * @param   {Object} opts
+ * @return  {RetryPolicy}
+ */
+
+function RetryPolicy(opts) {
+  opts = opts || {};
+
+  this.maxAttempts = opts.maxAttempts || 3;
+  this.baseDelay = opts.baseDelay || 100;
+  this.maxDelay = opts.maxDelay || 5000;
+  this.jitter = opts.jitter !== false;
+  this.retryableErrors = opts.retryableErrors || RETRYABLE_ERRORS;
+}
+
+RetryPolicy.RETRYABLE_ERRORS = RETRYABLE_ERRORS;
+
+
+/**
+ * Check if a call that failed on the given attempt should be retried.
+ * @param   {Error}   err
+ * @param   {Number}  attempt   Starts at 1
+ * @return  {Boolean}
+ */
+
+RetryPolicy.prototype.shouldRetry = function(err, attempt) {
+  return attempt < this.maxAttempts &&
+    this.retryableErrors.indexOf(err.code) !== -1;
+};
+
+
+/**
+ * Get the delay before the retry that follows the given attempt. With jitter
+ * enabled a random delay between 0 and the exponential delay is used.
+ * @param   {Number} attempt
+ * @return  {Number}
+ */
+
+RetryPolicy.prototype.getDelay = function(attempt) {
+  var delay = Math.min(
+    this.maxDelay,
+    this.baseDelay * Math.pow(2, attempt - 1)
+  );
+
+  return this.jitter ? Math.floor(Math.random() * delay) : delay;
+};
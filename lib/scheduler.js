@@ -0,0 +1,439 @@
+'use strict';
+
+module.exports = Scheduler;
+
+var util = require('util')
+  , async = require('async')
+  , events = require('events')
+  , crypto = require('crypto')
+  , promisify = require('./promisify')
+  , MessageBuilder = require('./message-builder')
+  , MemoryJobStore = require('./job-store')
+  , timezone = require('./timezone');
+
+var EMITTED_EVENTS = {
+  SCHEDULED: 'scheduled',
+  FIRED: 'fired',
+  FIRE_FAILED: 'fireFailed',
+  CANCELLED: 'cancelled'
+};
+
+// Target of jobs that broadcast to every endpoint of the application
+var BROADCAST = 'broadcast';
+
+// Prefix of targets that send to the users in one or more timezones, e.g.
+// timezone:Europe/Dublin or timezone:Europe/Dublin,Europe/Lisbon
+var TIMEZONE_PREFIX = 'timezone:';
+
+// Longest delay setTimeout supports, longer waits are split up
+var MAX_DELAY = 2147483647;
+
+var ENDPOINT_ARN_REGEX = /:endpoint\/[^\/]+\/[^\/]+\/[^\/]+$/;
+
+/**
+ * @constructor
+ * Sends messages at a later time through the sendMessage, publishToTopic,
+ * broadcastMessage and sendToTimezone methods of an Interface. Jobs are
+ * kept in a store so they survive a restart, and are only sent once the
+ * scheduler is started.
+ * Jobs are removed from the store before they are sent, so a job that is
+ * interrupted by a crash will not be sent twice.
+ * @param   {Object} opts     client, the Interface to send through, and
+ *                            store, a MemoryJobStore by default
+ * @return  {Scheduler}
+ */
+
+function Scheduler(opts) {
+  opts = opts || {};
+
+  if (!opts.client) {
+    throw new Error('Scheduler requires a client option, the SNS instance ' +
+      'to send messages with.');
+  }
+
+  this.client = opts.client;
+  this.store = opts.store || new MemoryJobStore();
+  this.timers = {};
+  this.running = false;
+
+  events.EventEmitter.call(this);
+}
+
+util.inherits(Scheduler, events.EventEmitter);
+
+Scheduler.EVENTS = EMITTED_EVENTS;
+Scheduler.BROADCAST = BROADCAST;
+Scheduler.TIMEZONE_PREFIX = TIMEZONE_PREFIX;
+
+
+/**
+ * Load the jobs in the store and start sending them when they are due. Jobs
+ * that became due while the scheduler was stopped are sent straight away.
+ * The callback receives the jobs that were loaded.
+ * @param {Function}  callback
+ */
+
+Scheduler.prototype.start = function(callback) {
+  var self = this;
+
+  if (this.running) {
+    return callback(new Error('Scheduler has already been started.'), null);
+  }
+
+  this.running = true;
+  this.store.list(function(err, jobs) {
+    if (err) {
+      self.running = false;
+      return callback(err, null);
+    }
+
+    jobs.forEach(function(job) {
+      self._arm(job);
+    });
+    callback(null, jobs);
+  });
+};
+
+
+/**
+ * Stop sending jobs. Jobs stay in the store and will be sent once the
+ * scheduler is started again.
+ */
+
+Scheduler.prototype.stop = function() {
+  var timers = this.timers;
+
+  Object.keys(timers).forEach(function(id) {
+    clearTimeout(timers[id]);
+  });
+
+  this.timers = {};
+  this.running = false;
+};
+
+
+/**
+ * Schedule a message. The target can be an EndpointArn, which the message
+ * is sent to with sendMessage, Scheduler.BROADCAST to send it to every
+ * endpoint with broadcastMessage, Scheduler.TIMEZONE_PREFIX followed by a
+ * comma separated list of timezones to send it to the users in them with
+ * sendToTimezone, or
+ * a TopicArn to publish it with publishToTopic. A MessageBuilder is rendered
+ * when the job is scheduled. The callback receives the job.
+ * @param {String}      target
+ * @param {Object}      message
+ * @param {Date|Number} sendAt    Date, or time in milliseconds
+ * @param {Object}      [opts]    Passed to the method that sends the message
+ * @param {Function}    callback
+ */
+
+Scheduler.prototype.schedule =
+  function(target, message, sendAt, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = null;
+    }
+
+    var self = this
+      , job;
+
+    try {
+      job = createJob(target, message, sendAt, opts);
+    } catch (e) {
+      return callback(e, null);
+    }
+
+    this.store.save(job, function(err) {
+      if (err) {
+        return callback(err, null);
+      }
+
+      if (self.running) {
+        self._arm(job);
+      }
+
+      self.emit(EMITTED_EVENTS.SCHEDULED, job);
+      callback(null, job);
+    });
+  };
+
+
+/**
+ * Cancel a job that hasn't been sent yet. The callback receives the job.
+ * @param {String}    id
+ * @param {Function}  callback
+ */
+
+Scheduler.prototype.cancel = function(id, callback) {
+  var self = this;
+
+  this._find(id, function(err, job) {
+    if (err) {
+      return callback(err, null);
+    }
+
+    self._disarm(id);
+    self.store.remove(id, function(err) {
+      if (err) {
+        return callback(err, null);
+      }
+
+      self.emit(EMITTED_EVENTS.CANCELLED, job);
+      callback(null, job);
+    });
+  });
+};
+
+
+/**
+ * Cancel the jobs of a rollout created by broadcastAtLocalTime that haven't
+ * been sent yet. The callback receives the cancelled jobs.
+ * @param {String}    rolloutId
+ * @param {Function}  callback
+ */
+
+Scheduler.prototype.cancelRollout = function(rolloutId, callback) {
+  var self = this;
+
+  this.store.list(function(err, jobs) {
+    if (err) {
+      return callback(err, null);
+    }
+
+    var ids = jobs.filter(function(job) {
+      return !!job.opts && job.opts.rolloutId === rolloutId;
+    }).map(function(job) {
+      return job.id;
+    });
+
+    async.mapSeries(ids, self.cancel.bind(self), callback);
+  });
+};
+
+
+/**
+ * List the jobs that are still to be sent, soonest first.
+ * @param {Function}  callback
+ */
+
+Scheduler.prototype.list = function(callback) {
+  this.store.list(function(err, jobs) {
+    if (err) {
+      return callback(err, null);
+    }
+
+    callback(null, jobs.sort(function(a, b) {
+      return a.sendAt - b.sendAt;
+    }));
+  });
+};
+
+
+Scheduler.prototype._find = function(id, callback) {
+  this.store.list(function(err, jobs) {
+    if (err) {
+      return callback(err, null);
+    }
+
+    var job = jobs.filter(function(job) {
+      return job.id === id;
+    })[0];
+
+    if (!job) {
+      return callback(new Error(util.format('Job "%s" does not exist.', id)),
+        null);
+    }
+
+    callback(null, job);
+  });
+};
+
+
+/**
+ * Set a timer to send a job when it's due. Delays longer than setTimeout
+ * supports are waited out in several steps.
+ * @param {Object}  job
+ */
+
+Scheduler.prototype._arm = function(job) {
+  var self = this
+    , delay = Math.max(job.sendAt - Date.now(), 0);
+
+  this._disarm(job.id);
+  this.timers[job.id] = setTimeout(function() {
+    delete self.timers[job.id];
+
+    if (delay > MAX_DELAY) {
+      return self._arm(job);
+    }
+
+    self._fire(job);
+  }, Math.min(delay, MAX_DELAY));
+};
+
+
+Scheduler.prototype._disarm = function(id) {
+  if (this.timers[id]) {
+    clearTimeout(this.timers[id]);
+    delete this.timers[id];
+  }
+};
+
+
+/**
+ * Remove a job from the store and send it. The result of the send, e.g. the
+ * MessageId or broadcast report, is emitted with the fired event.
+ * @param {Object}  job
+ */
+
+Scheduler.prototype._fire = function(job) {
+  var self = this;
+
+  this.store.remove(job.id, function(err) {
+    if (err) {
+      return self.emit(EMITTED_EVENTS.FIRE_FAILED, job, err);
+    }
+
+    var client = self.client
+      , args = getArgs(job)
+      , called = false;
+
+    // Errors thrown by the client are emitted rather than left to crash the
+    // process from inside a timer
+    try {
+      client[getMethod(job.target)].apply(client, args.concat(
+        function(err, res) {
+          called = true;
+
+          if (err) {
+            return self.emit(EMITTED_EVENTS.FIRE_FAILED, job, err);
+          }
+
+          self.emit(EMITTED_EVENTS.FIRED, job, res);
+        }));
+    } catch (e) {
+      if (called) {
+        throw e;
+      }
+
+      self.emit(EMITTED_EVENTS.FIRE_FAILED, job, e);
+    }
+  });
+};
+
+
+function createJob(target, message, sendAt, opts) {
+  validateTarget(target);
+
+  var time = (sendAt instanceof Date) ? sendAt.getTime() : sendAt;
+
+  if (typeof time !== 'number' || isNaN(time)) {
+    throw new Error('Argument "sendAt" must be a Date or a time in ' +
+      'milliseconds.');
+  }
+
+  if (message instanceof MessageBuilder) {
+    message = message.render();
+  }
+
+  validateMessage(target, message);
+
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    target: target,
+    message: message,
+    sendAt: time,
+    opts: opts || null,
+    createdAt: Date.now()
+  };
+}
+
+
+/**
+ * Throw if a target isn't an ARN, Scheduler.BROADCAST or valid timezones
+ * following Scheduler.TIMEZONE_PREFIX.
+ * @param {String}  target
+ */
+
+function validateTarget(target) {
+  if (typeof target !== 'string' || !target) {
+    throw new Error('Argument "target" must be an EndpointArn, TopicArn or ' +
+      'Scheduler.BROADCAST.');
+  }
+
+  if (target.indexOf(TIMEZONE_PREFIX) === 0) {
+    target.slice(TIMEZONE_PREFIX.length).split(',').forEach(function(tz) {
+      if (!timezone.isValid(tz)) {
+        throw new Error(util.format('Target "%s" has an invalid timezone, ' +
+          '"%s".', target, tz));
+      }
+    });
+  } else if (target !== BROADCAST && target.indexOf('arn:') !== 0) {
+    throw new Error(util.format('Argument "target" must be an EndpointArn, ' +
+      'TopicArn or Scheduler.BROADCAST, got "%s".', target));
+  }
+}
+
+
+/**
+ * Throw if a message can't be sent to a target. Topics require a message in
+ * SNS multi-platform publishing format, other targets a String or Object.
+ * @param {String}  target
+ * @param {Mixed}   message
+ */
+
+function validateMessage(target, message) {
+  var isObject = !!message && typeof message === 'object';
+
+  if (getMethod(target) === 'publishToTopic') {
+    if (!isObject || typeof message['default'] !== 'string') {
+      throw new Error('Argument "message" must be in SNS multi-platform ' +
+        'publishing format to publish to a topic.');
+    }
+  } else if (!isObject && (typeof message !== 'string' || !message)) {
+    throw new Error('Argument "message" must be a String, Object or ' +
+      'MessageBuilder.');
+  }
+}
+
+
+function getMethod(target) {
+  if (target === BROADCAST) {
+    return 'broadcastMessage';
+  }
+
+  if (target.indexOf(TIMEZONE_PREFIX) === 0) {
+    return 'sendToTimezone';
+  }
+
+  return ENDPOINT_ARN_REGEX.test(target) ? 'sendMessage' : 'publishToTopic';
+}
+
+
+function getArgs(job) {
+  var opts = job.opts || {};
+
+  if (job.target === BROADCAST) {
+    return [job.message, opts];
+  }
+
+  if (job.target.indexOf(TIMEZONE_PREFIX) === 0) {
+    return [
+      job.target.slice(TIMEZONE_PREFIX.length).split(','),
+      job.message,
+      opts
+    ];
+  }
+
+  return [job.target, job.message, opts];
+}
+
+
+// Every asynchronous public method returns a Promise if a callback is omitted
+promisify.methods(Scheduler.prototype, [
+  'start',
+  'schedule',
+  'cancel',
+  'cancelRollout',
+  'list'
+]);
@@ -0,0 +1,190 @@
+'use strict';
+
+module.exports = TemplateRegistry;
+
+var util = require('util')
+  , extend = require('./extend');
+
+var PLACEHOLDER_REGEX = /\{\{\s*([\w.\-]+)\s*\}\}/g;
+
+/**
+ * @constructor
+ * Keeps message templates that have a variant for each locale, each of which
+ * can have variants for each platform. Templates use {{placeholder}}
+ * variables, which can be paths such as {{user.name}}.
+ * @param   {Object} [opts]   defaultLocale, the variant used for locales a
+ *                            template has no variant for
+ * @return  {TemplateRegistry}
+ */
+
+function TemplateRegistry(opts) {
+  opts = opts || {};
+
+  this.defaultLocale = opts.defaultLocale || null;
+  this.templates = {};
+}
+
+
+/**
+ * Add a template, replacing any template with the same name. Variants are
+ * keyed by locale, e.g. en or de-AT. Each variant has a message and opts,
+ * which are passed to sendMessage, and platforms, an object of variants
+ * keyed by platform, e.g. IOS, whose message replaces the message of the
+ * locale and whose opts are merged over its opts.
+ * @param   {String} name
+ * @param   {Object} variants
+ * @return  {TemplateRegistry}
+ */
+
+TemplateRegistry.prototype.define = function(name, variants) {
+  var locales = Object.keys(variants || {});
+
+  if (!locales.length) {
+    throw new Error(util.format('Template "%s" requires at least one locale.',
+      name));
+  }
+
+  locales.forEach(function(locale) {
+    var variant = variants[locale];
+
+    if (!variant || (variant.message == null && !variant.opts)) {
+      throw new Error(util.format('Template "%s" requires a message or opts ' +
+        'for locale "%s".', name, locale));
+    }
+  });
+
+  this.templates[name] = JSON.parse(JSON.stringify(variants));
+
+  return this;
+};
+
+
+/**
+ * Check if a template has been defined.
+ * @param   {String} name
+ * @return  {Boolean}
+ */
+
+TemplateRegistry.prototype.has = function(name) {
+  return this.templates.hasOwnProperty(name);
+};
+
+
+/**
+ * Render a template for a locale and platform. A locale such as de-AT uses
+ * the de variant if there is no de-AT variant, and the default locale if
+ * there is neither. Throws an error with the code TemplateNotFound,
+ * MissingLocale or MissingVariable if the template can't be rendered.
+ * @param   {String} name
+ * @param   {String} locale
+ * @param   {String} platform   e.g. IOS or ANDROID
+ * @param   {Object} vars
+ * @return  {Object}  locale, message and opts
+ */
+
+TemplateRegistry.prototype.render = function(name, locale, platform, vars) {
+  if (!this.has(name)) {
+    throw createError('TemplateNotFound', 'Template "%s" does not exist.',
+      name);
+  }
+
+  var resolved = this.resolveLocale(name, locale)
+    , variant = this.templates[name][resolved]
+    , platformVariant = (variant.platforms || {})[platform] || {}
+    , context = {name: name, locale: resolved, vars: vars || {}};
+
+  return {
+    locale: resolved,
+    message: interpolate((platformVariant.message != null) ?
+      platformVariant.message : variant.message, context),
+    opts: interpolate(extend({}, variant.opts, platformVariant.opts), context)
+  };
+};
+
+
+/**
+ * Get the locale of the variant used to render a template for a locale.
+ * @param   {String} name
+ * @param   {String} locale
+ * @return  {String}
+ */
+
+TemplateRegistry.prototype.resolveLocale = function(name, locale) {
+  var variants = this.templates[name]
+    , normalized = locale ? String(locale).replace('_', '-') : null
+    , candidates = normalized ?
+      [normalized, normalized.split('-')[0], this.defaultLocale] :
+      [this.defaultLocale];
+
+  var found = candidates.filter(function(candidate) {
+    return !!candidate && variants.hasOwnProperty(candidate);
+  })[0];
+
+  if (!found && !locale) {
+    throw createError('MissingLocale', 'Template "%s" requires a locale as ' +
+      'it has no variant for the default locale.', name);
+  }
+
+  if (!found) {
+    throw createError('MissingLocale', 'Template "%s" has no variant for ' +
+      'locale "%s" and no variant for the default locale.', name, locale);
+  }
+
+  return found;
+};
+
+
+/**
+ * Replace the placeholders in every String of a value, which can be a
+ * String, Array or Object.
+ * @param   {Mixed}  value
+ * @param   {Object} context    name, locale and vars
+ * @return  {Mixed}
+ */
+
+function interpolate(value, context) {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_REGEX, function(placeholder, path) {
+      var replacement = getPath(context.vars, path);
+
+      if (replacement == null) {
+        throw createError('MissingVariable', 'Template "%s" (%s) is missing ' +
+          'variable "%s".', context.name, context.locale, path);
+      }
+
+      return String(replacement);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(function(item) {
+      return interpolate(item, context);
+    });
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce(function(result, key) {
+      result[key] = interpolate(value[key], context);
+      return result;
+    }, {});
+  }
+
+  return value;
+}
+
+
+function getPath(obj, path) {
+  return path.split('.').reduce(function(value, key) {
+    return (value != null) ? value[key] : undefined;
+  }, obj);
+}
+
+
+function createError(code) {
+  var err = new Error(util.format.apply(util,
+    Array.prototype.slice.call(arguments, 1)));
+
+  err.code = code;
+
+  return err;
+}
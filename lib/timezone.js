@@ -0,0 +1,115 @@
+'use strict';
+
+var util = require('util');
+
+var LOCAL_TIME_REGEX = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+var DAY = 24 * 60 * 60 * 1000;
+
+
+/**
+ * Check that a timezone is an IANA timezone name, e.g. Europe/Dublin.
+ * @param   {String} timezone
+ * @return  {Boolean}
+ */
+
+exports.isValid = function(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', {timeZone: timezone}).format();
+  } catch (e) {
+    return false;
+  }
+
+  return true;
+};
+
+
+/**
+ * Parse a local time in 24 hour HH:mm format, e.g. 09:30.
+ * @param   {String} localTime
+ * @return  {Object}  hours, minutes
+ */
+
+exports.parseLocalTime = function(localTime) {
+  var match = LOCAL_TIME_REGEX.exec(localTime);
+
+  if (!match) {
+    throw new Error(util.format('Local time "%s" must be in HH:mm format, ' +
+      'e.g. 09:30.', localTime));
+  }
+
+  return {
+    hours: parseInt(match[1], 10),
+    minutes: parseInt(match[2], 10)
+  };
+};
+
+
+/**
+ * Get the offset of a timezone from UTC in milliseconds at a point in time.
+ * @param   {String} timezone
+ * @param   {Number} time
+ * @return  {Number}
+ */
+
+exports.getOffset = function(timezone, time) {
+  var parts = {};
+
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(time)).forEach(function(part) {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+
+  var local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour,
+    parts.minute, parts.second);
+
+  return local - (time - time % 1000);
+};
+
+
+/**
+ * Get the next time that a timezone's clocks show a local time. If the local
+ * time has already passed today tomorrow's is returned, unless allowPast is
+ * set, in which case today's is. Local times skipped when the clocks go
+ * forward resolve to the same time after the change, e.g. 02:30 becomes
+ * 03:30.
+ * @param   {String}  timezone
+ * @param   {Object}  localTime   hours, minutes
+ * @param   {Number}  now
+ * @param   {Boolean} [allowPast]
+ * @return  {Number}
+ */
+
+exports.getNextTime = function(timezone, localTime, now, allowPast) {
+  var localNow = new Date(now + exports.getOffset(timezone, now))
+    , target = Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(),
+      localNow.getUTCDate(), localTime.hours, localTime.minutes);
+
+  if (!allowPast && target <= localNow.getTime()) {
+    target += DAY;
+  }
+
+  // Correct the offset for targets on the other side of a DST change
+  var guess = target - exports.getOffset(timezone, now)
+    , result = target - exports.getOffset(timezone, guess);
+
+  // A local time that doesn't exist maps back to a different local time, so
+  // use the offset from before the change to move past the gap
+  if (result + exports.getOffset(timezone, result) !== target) {
+    return target - exports.getOffset(timezone, result - DAY);
+  }
+
+  return result;
+};
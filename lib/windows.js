@@ -0,0 +1,77 @@
+'use strict';
+
+var util = require('util');
+
+var XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&apos;'
+};
+
+
+/**
+ * Build an MPNS (Windows Phone) toast notification from a message and
+ * options. The message is used as the toast content.
+ * @param   {String} message
+ * @param   {Object} opts     title, param
+ * @return  {String}
+ */
+
+exports.buildMpnsToast = function(message, opts) {
+  var toast = '';
+
+  if (!message && !opts.title) {
+    throw new Error('An MPNS message requires a message or title.');
+  }
+
+  if (opts.title) {
+    toast += util.format('<wp:Text1>%s</wp:Text1>', escape(opts.title));
+  }
+
+  toast += util.format('<wp:Text2>%s</wp:Text2>', escape(message || ''));
+
+  if (opts.param) {
+    toast += util.format('<wp:Param>%s</wp:Param>', escape(opts.param));
+  }
+
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    '<wp:Notification xmlns:wp="WPNotification">' +
+    '<wp:Toast>' + toast + '</wp:Toast>' +
+    '</wp:Notification>';
+};
+
+
+/**
+ * Build a WNS (Windows) toast notification from a message and options. The
+ * message is used as the toast text, below the title if there is one.
+ * @param   {String} message
+ * @param   {Object} opts     title, launch
+ * @return  {String}
+ */
+
+exports.buildWnsToast = function(message, opts) {
+  var texts = [opts.title, message].filter(Boolean)
+    , template = (texts.length > 1) ? 'ToastText02' : 'ToastText01'
+    , launch = opts.launch ?
+      util.format(' launch="%s"', escape(opts.launch)) : '';
+
+  if (!texts.length) {
+    throw new Error('A WNS message requires a message or title.');
+  }
+
+  return util.format('<toast%s><visual><binding template="%s">', launch,
+      template) +
+    texts.map(function(text, i) {
+      return util.format('<text id="%d">%s</text>', i + 1, escape(text));
+    }).join('') +
+    '</binding></visual></toast>';
+};
+
+
+function escape(str) {
+  return String(str).replace(/[&<>"']/g, function(c) {
+    return XML_ENTITIES[c];
+  });
+}
@@ -0,0 +1,113 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('APNS messages.', function() {
+  var sns, published;
+
+  beforeEach(function() {
+    published = [];
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.IOS,
+      platformApplicationArn: 'arn:app',
+      sns: {
+        createPlatformEndpoint: function() {},
+        getEndpointAttributes: function() {},
+        publish: function(params, callback) {
+          published.push(params);
+          callback(null, {MessageId: 'id'});
+        }
+      }
+    });
+  });
+
+  function convert(message, opts) {
+    return sns.convertToApnsFormat(message, opts).then(function(container) {
+      return JSON.parse(container.APNS);
+    });
+  }
+
+  it('Should keep converting plain Strings to an alert', function() {
+    return convert('Hello').then(function(payload) {
+      assert.deepEqual(payload, {aps: {alert: 'Hello'}});
+    });
+  });
+
+  it('Should build alert, sound and notification options', function() {
+    return convert('Your order has shipped', {
+      title: 'Order update',
+      subtitle: 'Order #1234',
+      badge: 3,
+      sound: {critical: true, name: 'alarm.caf', volume: 0.5},
+      mutableContent: true,
+      category: 'ORDER',
+      threadId: 'orders',
+      data: {orderId: 1234}
+    }).then(function(payload) {
+      assert.deepEqual(payload, {
+        aps: {
+          alert: {
+            title: 'Order update',
+            subtitle: 'Order #1234',
+            body: 'Your order has shipped'
+          },
+          badge: 3,
+          sound: {critical: 1, name: 'alarm.caf', volume: 0.5},
+          'mutable-content': 1,
+          category: 'ORDER',
+          'thread-id': 'orders'
+        },
+        orderId: 1234
+      });
+    });
+  });
+
+  it('Should build localized and silent notifications', function() {
+    return convert(null, {locKey: 'GREETING', locArgs: ['Jane', 2]}).then(function(payload) {
+      assert.deepEqual(payload.aps.alert, {'loc-key': 'GREETING', 'loc-args': ['Jane', '2']});
+
+      return convert(null, {contentAvailable: true, data: {sync: true}});
+    }).then(function(payload) {
+      assert.deepEqual(payload, {aps: {'content-available': 1}, sync: true});
+    });
+  });
+
+  it('Should reject invalid options', function() {
+    return convert('Hello', {badge: '1'}).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'APNS option "badge" must be a Number.');
+
+      return convert('Hello', {locArgs: 'Jane'});
+    }).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'APNS option "locArgs" must be an Array.');
+    });
+  });
+
+  it('Should not send payloads over the 4KB limit', function() {
+    var failed = null;
+
+    sns.on(SNS.EVENTS.FAILED_SEND, function(endpointArn, err) {
+      failed = err;
+    });
+
+    return sns.sendMessage('arn:endpoint', 'Hello', {
+      data: {padding: new Array(4097).join('x')}
+    }).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert(/^APNS payload is \d+ bytes, the maximum is 4096 bytes.$/.test(err.message));
+      assert.equal(failed, err);
+      assert.equal(published.length, 0);
+    });
+  });
+
+  it('Should pass options through sendMessage', function() {
+    return sns.sendMessage('arn:endpoint', 'Hello', {badge: 1}).then(function() {
+      var message = JSON.parse(published[0].Message);
+
+      assert.deepEqual(JSON.parse(message.APNS), {aps: {alert: 'Hello', badge: 1}});
+    });
+  });
+});
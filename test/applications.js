@@ -0,0 +1,101 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Platform application lifecycle.', function() {
+  var calls, sns;
+
+  beforeEach(function() {
+    calls = [];
+
+    function record(operation, res) {
+      return function(params, callback) {
+        calls.push({operation: operation, params: params});
+        callback(null, res);
+      };
+    }
+
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.IOS,
+      sandbox: true,
+      platformApplicationArn: 'arn:app',
+      sns: {
+        createPlatformEndpoint: function() {},
+        getEndpointAttributes: function() {},
+        createPlatformApplication: record('createPlatformApplication', {
+          PlatformApplicationArn: 'arn:app/APNS_SANDBOX/Shop'
+        }),
+        getPlatformApplicationAttributes: record('getAttributes', {
+          Attributes: {Enabled: 'true'}
+        }),
+        setPlatformApplicationAttributes: record('setAttributes'),
+        deletePlatformApplication: function(params, callback) {
+          callback({code: 'NotFound', message: 'Application does not exist'});
+        }
+      }
+    });
+  });
+
+  it('Should create applications', function() {
+    var created;
+
+    sns.on(SNS.EVENTS.APPLICATION_CREATED, function(arn, name) {
+      created = [arn, name];
+    });
+
+    return sns.createApplication('Shop', SNS.SUPPORTED_PLATFORMS.IOS, {
+      PlatformPrincipal: 'cert',
+      PlatformCredential: 'key'
+    }).then(function(arn) {
+      assert.equal(arn, 'arn:app/APNS_SANDBOX/Shop');
+      assert.deepEqual(created, [arn, 'Shop']);
+      assert.deepEqual(calls[0].params, {
+        Name: 'Shop',
+        Platform: 'APNS_SANDBOX',
+        Attributes: {PlatformPrincipal: 'cert', PlatformCredential: 'key'}
+      });
+
+      return sns.createApplication('Shop', 'GCM', {PlatformCredential: 'key'});
+    }).then(function() {
+      assert.equal(calls[1].params.Platform, 'GCM');
+    });
+  });
+
+  it('Should get and update application attributes', function() {
+    var updated;
+
+    sns.on(SNS.EVENTS.APPLICATION_UPDATED, function(arn, attributes) {
+      updated = attributes;
+    });
+
+    return sns.getApplicationAttributes('arn:app').then(function(attributes) {
+      assert.deepEqual(attributes, {Enabled: 'true'});
+
+      return sns.updateApplicationAttributes('arn:app', {
+        EventDeliveryFailure: 'arn:topic',
+        SuccessFeedbackSampleRate: 100
+      });
+    }).then(function(attributes) {
+      assert.deepEqual(attributes, {
+        EventDeliveryFailure: 'arn:topic',
+        SuccessFeedbackSampleRate: '100'
+      });
+      assert.deepEqual(updated, attributes);
+      assert.equal(calls[1].params.PlatformApplicationArn, 'arn:app');
+    });
+  });
+
+  it('Should emit an event if deleting an application fails', function() {
+    var failed;
+
+    sns.on(SNS.EVENTS.DELETE_APPLICATION_FAILED, function(arn, err) {
+      failed = arn;
+    });
+
+    return sns.deleteApplication('arn:app').then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.code, 'NotFound');
+      assert.equal(failed, 'arn:app');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Topic, subscription and message attributes.', function() {
+  var calls, sns;
+
+  beforeEach(function() {
+    calls = {};
+
+    function record(operation, res) {
+      return function(params, callback) {
+        calls[operation] = (calls[operation] || []).concat(params);
+        callback(null, res || {});
+      };
+    }
+
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.WNS,
+      platformApplicationArn: 'arn:app',
+      sns: {
+        createPlatformEndpoint: function() {},
+        getEndpointAttributes: function() {},
+        createTopic: record('createTopic', {TopicArn: 'arn:topic'}),
+        setTopicAttributes: record('setTopicAttributes'),
+        tagResource: record('tagResource'),
+        subscribe: record('subscribe', {SubscriptionArn: 'arn:sub'}),
+        setSubscriptionAttributes: record('setSubscriptionAttributes'),
+        publish: record('publish', {MessageId: 'id'})
+      }
+    });
+  });
+
+  it('Should create topics with attributes and tags', function() {
+    return sns.createTopic('offers', {
+      attributes: {DisplayName: 'Offers'},
+      tags: {team: 'growth'}
+    }).then(function(topicArn) {
+      assert.equal(topicArn, 'arn:topic');
+      assert.deepEqual(calls.createTopic[0], {
+        Name: 'offers',
+        Attributes: {DisplayName: 'Offers'},
+        Tags: [{Key: 'team', Value: 'growth'}]
+      });
+
+      return sns.tagTopic(topicArn, [{Key: 'cost', Value: 'low'}]);
+    }).then(function() {
+      assert.deepEqual(calls.tagResource[0], {
+        ResourceArn: 'arn:topic',
+        Tags: [{Key: 'cost', Value: 'low'}]
+      });
+    });
+  });
+
+  it('Should set topic attributes one at a time', function() {
+    var updated;
+
+    sns.on(SNS.EVENTS.TOPIC_ATTRIBUTES_UPDATED, function(topicArn, attributes) {
+      updated = attributes;
+    });
+
+    return sns.setTopicAttributes('arn:topic', {
+      DisplayName: 'Offers',
+      DeliveryPolicy: {http: {defaultHealthyRetryPolicy: {numRetries: 3}}}
+    }).then(function() {
+      assert.deepEqual(calls.setTopicAttributes, [{
+        TopicArn: 'arn:topic',
+        AttributeName: 'DisplayName',
+        AttributeValue: 'Offers'
+      }, {
+        TopicArn: 'arn:topic',
+        AttributeName: 'DeliveryPolicy',
+        AttributeValue: '{"http":{"defaultHealthyRetryPolicy":{"numRetries":3}}}'
+      }]);
+      assert.equal(updated.DisplayName, 'Offers');
+    });
+  });
+
+  it('Should subscribe with a filter policy', function() {
+    return sns.subscribe('arn:1', 'arn:topic', {
+      filterPolicy: {locale: ['de']},
+      rawMessageDelivery: true
+    }).then(function() {
+      assert.deepEqual(calls.subscribe[0].Attributes, {
+        FilterPolicy: '{"locale":["de"]}',
+        RawMessageDelivery: 'true'
+      });
+
+      return sns.setSubscriptionAttributes('arn:sub', {FilterPolicy: {locale: ['en']}});
+    }).then(function() {
+      assert.deepEqual(calls.setSubscriptionAttributes[0], {
+        SubscriptionArn: 'arn:sub',
+        AttributeName: 'FilterPolicy',
+        AttributeValue: '{"locale":["en"]}'
+      });
+    });
+  });
+
+  it('Should publish with message attributes', function() {
+    return sns.publishToTopic('arn:topic', {default: 'Hi'}, {
+      messageAttributes: {
+        locale: 'de',
+        version: 3,
+        tags: ['a', 'b'],
+        raw: {DataType: 'Binary', BinaryValue: 'AQ=='}
+      }
+    }).then(function() {
+      assert.deepEqual(calls.publish[0].MessageAttributes, {
+        locale: {DataType: 'String', StringValue: 'de'},
+        version: {DataType: 'Number', StringValue: '3'},
+        tags: {DataType: 'String.Array', StringValue: '["a","b"]'},
+        raw: {DataType: 'Binary', BinaryValue: 'AQ=='}
+      });
+    });
+  });
+
+  it('Should merge message attributes with the WNS type', function() {
+    return sns.sendMessage('arn:1', 'Hi', {
+      messageAttributes: {locale: 'de'}
+    }).then(function() {
+      assert.deepEqual(calls.publish[0].MessageAttributes, {
+        'AWS.SNS.MOBILE.WNS.Type': {DataType: 'String', StringValue: 'wns/toast'},
+        locale: {DataType: 'String', StringValue: 'de'}
+      });
+    });
+  });
+});
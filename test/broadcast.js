@@ -0,0 +1,141 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+var APPLICATION_ARN = 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp';
+
+describe('broadcastMessage.', function() {
+  var fake, sns, endpoints;
+
+  // Two pages of endpoints
+  beforeEach(function() {
+    fake = new SNS.FakeSNS({pageSize: 2});
+    sns = createInterface();
+
+    return Promise.all(['1', '2', '3'].map(function(token) {
+      return sns.addUser(token, null);
+    })).then(function(endpointArns) {
+      endpoints = endpointArns;
+    });
+  });
+
+  function createInterface(opts) {
+    opts = opts || {};
+
+    return new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: APPLICATION_ARN,
+      concurrency: opts.concurrency,
+      ratePerSecond: opts.ratePerSecond,
+      sns: fake
+    });
+  }
+
+  // Hold each publish for 5ms, tracking the most in flight at once
+  function delayPublish() {
+    var publish = fake.publish
+      , tracked = {inFlight: 0, maxInFlight: 0};
+
+    fake.publish = function(params, callback) {
+      tracked.inFlight++;
+      tracked.maxInFlight = Math.max(tracked.inFlight, tracked.maxInFlight);
+      publish.call(fake, params, function(err, res) {
+        setTimeout(function() {
+          tracked.inFlight--;
+          callback(err, res);
+        }, 5);
+      });
+    };
+
+    return tracked;
+  }
+
+  it('Should report the outcome for every endpoint', function() {
+    fake.disableEndpoint(endpoints[1]);
+
+    return sns.broadcastMessage('Hello').then(function(report) {
+      var listed = Object.keys(fake.endpoints).sort();
+
+      assert.equal(report.attempted, 3);
+      assert.equal(report.succeeded, 2);
+      assert.equal(report.failed, 1);
+      assert.deepEqual(report.failures, [{
+        EndpointArn: endpoints[1],
+        code: 'EndpointDisabled',
+        message: 'Endpoint is disabled'
+      }]);
+      assert.deepEqual(report.sent, listed.filter(function(endpointArn) {
+        return endpointArn !== endpoints[1];
+      }).map(function(endpointArn) {
+        return {
+          EndpointArn: endpointArn,
+          MessageId: fake.published.filter(function(published) {
+            return published.TargetArn === endpointArn;
+          })[0].MessageId
+        };
+      }));
+    });
+  });
+
+  it('Should emit the report with broadcastEnd', function(done) {
+    sns.on(SNS.EVENTS.BROADCAST_END, function(report) {
+      assert.equal(report.attempted, 3);
+      done();
+    });
+
+    sns.broadcastMessage('Hello', function(err) {
+      assert(!err);
+    });
+  });
+
+  it('Should limit the number of sends in flight', function() {
+    var tracked = delayPublish();
+
+    return sns.broadcastMessage('Hello', {concurrency: 1}).then(function(report) {
+      assert.equal(report.succeeded, 3);
+      assert.equal(tracked.maxInFlight, 1);
+    });
+  });
+
+  it('Should share the limit on sends in flight between calls', function() {
+    var tracked = delayPublish();
+
+    sns = createInterface({concurrency: 2});
+
+    // The per call option can only narrow the limit of the instance
+    return Promise.all([
+      sns.broadcastMessage('Hello', {concurrency: 5}),
+      sns.broadcastMessage('Hello'),
+      sns.sendMessage(endpoints[0], 'Hello')
+    ]).then(function(results) {
+      assert.equal(results[0].succeeded + results[1].succeeded, 6);
+      assert.equal(tracked.maxInFlight, 2);
+    });
+  });
+
+  it('Should limit the send rate', function() {
+    var start = Date.now();
+
+    sns = createInterface({ratePerSecond: 2});
+
+    // A burst of two sends is allowed, the third waits for a token
+    return sns.broadcastMessage('Hello').then(function(report) {
+      assert.equal(report.attempted, 3);
+      assert(Date.now() - start >= 450);
+    });
+  });
+
+  it('Should share the send rate between calls', function() {
+    var start = Date.now();
+
+    sns = createInterface({ratePerSecond: 4});
+
+    // Seven sends at four per second, after a burst of four, take 750ms
+    return Promise.all([
+      sns.broadcastMessage('Hello'),
+      sns.broadcastMessage('Hello'),
+      sns.sendMessage(endpoints[0], 'Hello')
+    ]).then(function() {
+      assert(Date.now() - start >= 700);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Bulk subscriptions.', function() {
+  var fake, sns, topicArn, otherArn;
+
+  beforeEach(function() {
+    fake = new SNS.FakeSNS({pageSize: 2});
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp',
+      sns: fake
+    });
+
+    return Promise.all([
+      sns.createTopic('topic'),
+      sns.createTopic('other')
+    ]).then(function(topicArns) {
+      topicArn = topicArns[0];
+      otherArn = topicArns[1];
+    });
+  });
+
+  // Two pages of subscriptions to topicArn, one of them pending
+  // confirmation, and one subscription to otherArn
+  function addSubscriptions() {
+    return Promise.all([
+      sns.subscribe('arn:1', topicArn),
+      sns.subscribeProtocol('https', 'https://example.com/hook', topicArn),
+      sns.subscribe('arn:3', topicArn),
+      sns.subscribe('arn:1', otherArn)
+    ]);
+  }
+
+  function getSubscriptions(filter) {
+    return Object.keys(fake.subscriptions).sort().map(function(arn) {
+      return fake.subscriptions[arn];
+    }).filter(filter);
+  }
+
+  it('Should subscribe many endpoints with bounded concurrency', function() {
+    var subscribed = 0
+      , subscribe = fake.subscribe
+      , inFlight = 0
+      , maxInFlight = 0;
+
+    fake.injectError('subscribe', 'InvalidParameter', {
+      when: function(params) {
+        return params.Endpoint === 'arn:bad';
+      }
+    });
+    fake.subscribe = function(params, callback) {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      subscribe.call(fake, params, function(err, res) {
+        setTimeout(function() {
+          inFlight--;
+          callback(err, res);
+        }, 1);
+      });
+    };
+
+    sns.on(SNS.EVENTS.SUBSCRIBED, function() {
+      subscribed++;
+    });
+
+    return sns.subscribeMany(['arn:1', 'arn:bad', 'arn:3', 'arn:4'], topicArn, {
+      concurrency: 2
+    }).then(function(results) {
+      assert.equal(maxInFlight, 2);
+      assert.equal(subscribed, 3);
+      assert.deepEqual(results[0], {
+        EndpointArn: 'arn:1',
+        SubscriptionArn: getSubscriptions(function(subscription) {
+          return subscription.Endpoint === 'arn:1';
+        })[0].SubscriptionArn,
+        error: null
+      });
+      assert.equal(results[1].SubscriptionArn, null);
+      assert.equal(results[1].error.code, 'InvalidParameter');
+    });
+  });
+
+  it('Should unsubscribe every endpoint from a topic', function() {
+    var unsubscribed = []
+      , expected;
+
+    sns.on(SNS.EVENTS.UNSUBSCRIBED, function(subscriptionArn) {
+      unsubscribed.push(subscriptionArn);
+    });
+
+    return addSubscriptions().then(function() {
+      expected = getSubscriptions(function(subscription) {
+        return subscription.TopicArn === topicArn && !subscription.Token;
+      }).map(function(subscription) {
+        return {
+          SubscriptionArn: subscription.SubscriptionArn,
+          Endpoint: subscription.Endpoint,
+          error: null
+        };
+      });
+
+      return sns.unsubscribeAll(topicArn);
+    }).then(function(results) {
+      assert.equal(expected.length, 2);
+      assert.deepEqual(results, expected);
+      assert.deepEqual(unsubscribed, expected.map(function(result) {
+        return result.SubscriptionArn;
+      }));
+      assert.deepEqual(getSubscriptions(function() {
+        return true;
+      }).map(function(subscription) {
+        return subscription.Endpoint;
+      }).sort(), ['arn:1', 'https://example.com/hook']);
+    });
+  });
+
+  it('Should unsubscribe an endpoint from every topic', function() {
+    return addSubscriptions().then(function() {
+      return sns.unsubscribeEndpoint('arn:1');
+    }).then(function(results) {
+      assert.deepEqual(results.map(function(result) {
+        return result.Endpoint;
+      }), ['arn:1', 'arn:1']);
+      assert.deepEqual(getSubscriptions(function(subscription) {
+        return subscription.Endpoint === 'arn:1';
+      }), []);
+    });
+  });
+});
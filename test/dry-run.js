@@ -0,0 +1,99 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Dry run.', function() {
+  var fake, sns;
+
+  beforeEach(function() {
+    fake = new SNS.FakeSNS();
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp',
+      dryRun: true,
+      sns: fake
+    });
+  });
+
+  it('Should capture messages instead of sending them', function() {
+    var sent;
+
+    sns.on(SNS.EVENTS.SENT_MESSAGE, function(endpointArn, messageId, capture) {
+      sent = [endpointArn, messageId, capture];
+    });
+
+    return sns.addUser('token-1', null).then(function(endpointArn) {
+      return sns.sendMessage(endpointArn, {title: 'Hi'}).then(function(res) {
+        assert.ok(/^dry-run-/.test(res.MessageId));
+        assert.equal(fake.published.length, 0);
+        assert.deepEqual(res.capture, {
+          dryRun: true,
+          MessageId: res.MessageId,
+          Message: JSON.stringify({GCM: JSON.stringify({title: 'Hi'})}),
+          TargetArn: endpointArn,
+          MessageStructure: 'json'
+        });
+        assert.deepEqual(sent, [endpointArn, res.MessageId, res.capture]);
+      });
+    });
+  });
+
+  it('Should pass the capture to the callback', function(done) {
+    sns.sendSms('+353861234567', 'Hi', function(err, messageId, capture) {
+      assert.ok(!err);
+      assert.equal(capture.MessageId, messageId);
+      assert.equal(capture.PhoneNumber, '+353861234567');
+      assert.equal(sns.captured, undefined);
+      done();
+    });
+  });
+
+  it('Should allow dry run to be set per call', function() {
+    return sns.createTopic('offers').then(function(topicArn) {
+      return sns.publishToTopic(topicArn, {default: 'Hi'}, {dryRun: false});
+    }).then(function(messageId) {
+      assert.equal(fake.published[0].MessageId, messageId);
+
+      return sns.sendSms('+353861234567', 'Hi');
+    }).then(function(res) {
+      assert.equal(fake.published.length, 1);
+      assert.equal(res.capture.PhoneNumber, '+353861234567');
+    });
+  });
+
+  it('Should capture each message of a broadcast', function() {
+    var saved = false
+      , checkpoints = 0;
+
+    sns.on(SNS.EVENTS.BROADCAST_CHECKPOINT, function() {
+      checkpoints++;
+    });
+    sns.checkpointStore = {
+      save: function(checkpoint, callback) {
+        saved = true;
+        callback();
+      },
+      remove: function(broadcastId, callback) {
+        saved = true;
+        callback();
+      }
+    };
+
+    return Promise.all([
+      sns.addUser('token-1', null),
+      sns.addUser('token-2', null)
+    ]).then(function() {
+      return sns.broadcastMessage('Hi');
+    }).then(function(report) {
+      assert.equal(report.dryRun, true);
+      assert.equal(report.succeeded, 2);
+      assert.deepEqual(report.sent.map(function(sent) {
+        return sent.capture.TargetArn;
+      }), report.sent.map(function(sent) {
+        return sent.EndpointArn;
+      }));
+      assert.equal(fake.published.length, 0);
+      assert.equal(saved, false);
+      assert.equal(checkpoints, 0);
+    });
+  });
+});
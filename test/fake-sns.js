@@ -0,0 +1,232 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('FakeSNS.', function() {
+  var fake, sns;
+
+  beforeEach(function() {
+    fake = new SNS.FakeSNS({pageSize: 2});
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp',
+      sns: fake
+    });
+  });
+
+  function addUsers(tokens) {
+    return Promise.all(tokens.map(function(token) {
+      return sns.addUser(token, null);
+    }));
+  }
+
+  it('Should register devices idempotently', function() {
+    var endpointArn;
+
+    return sns.addUser('token-1', '{"userId":"1"}').then(function(arn) {
+      endpointArn = arn;
+      assert.ok(/:endpoint\/GCM\/MyApp\//.test(arn));
+
+      return sns.addUser('token-1', '{"userId":"1"}');
+    }).then(function(arn) {
+      assert.equal(arn, endpointArn);
+
+      return sns.getUser(endpointArn);
+    }).then(function(user) {
+      assert.deepEqual(user.Attributes, {
+        Token: 'token-1',
+        Enabled: 'true',
+        CustomUserData: '{"userId":"1"}'
+      });
+
+      return sns.deleteUser(endpointArn);
+    }).then(function() {
+      return sns.getUser(endpointArn);
+    }).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.code, 'NotFound');
+    });
+  });
+
+  it('Should paginate endpoints with NextToken', function() {
+    return addUsers(['a', 'b', 'c', 'd', 'e']).then(function() {
+      return sns.getUsers();
+    }).then(function(users) {
+      assert.deepEqual(users.map(function(user) {
+        return user.Attributes.Token;
+      }).sort(), ['a', 'b', 'c', 'd', 'e']);
+    });
+  });
+
+  it('Should fan out topic messages and record them', function() {
+    var topicArn, endpointArns;
+
+    return addUsers(['a', 'b']).then(function(arns) {
+      endpointArns = arns;
+
+      return sns.createTopic('offers');
+    }).then(function(arn) {
+      topicArn = arn;
+
+      return sns.subscribeMany(endpointArns, topicArn);
+    }).then(function() {
+      return sns.subscribe(endpointArns[0], topicArn, {
+        filterPolicy: {locale: ['de']}
+      });
+    }).then(function() {
+      return sns.subscribeProtocol('https', 'https://example.com/hook',
+        topicArn);
+    }).then(function() {
+      return sns.publishToTopic(topicArn, {default: 'Hi', GCM: '{"data":{}}'}, {
+        messageAttributes: {locale: 'en'}
+      });
+    }).then(function(messageId) {
+      assert.equal(fake.published[0].MessageId, messageId);
+      assert.deepEqual(fake.getDeliveries(endpointArns[0]).map(function(d) {
+        return d.Message;
+      }), ['{"data":{}}']);
+      assert.equal(fake.getDeliveries(endpointArns[1]).length, 1);
+      assert.deepEqual(fake.getDeliveries('https://example.com/hook').map(
+        function(d) {
+          return d.Type;
+        }), ['SubscriptionConfirmation']);
+    });
+  });
+
+  it('Should confirm pending subscriptions', function() {
+    var topicArn;
+
+    return sns.createTopic('hooks').then(function(arn) {
+      topicArn = arn;
+
+      return sns.subscribeProtocol('https', 'https://example.com/hook',
+        topicArn);
+    }).then(function(subscriptionArn) {
+      assert.equal(subscriptionArn, 'pending confirmation');
+
+      return sns.confirmSubscription(topicArn,
+        fake.getDeliveries('https://example.com/hook')[0].Token);
+    }).then(function() {
+      return sns.getSubscriptions(topicArn);
+    }).then(function(subscriptions) {
+      assert.equal(subscriptions[0].PendingConfirmation, false);
+
+      return sns.publishToTopic(topicArn, {default: 'Hi'});
+    }).then(function() {
+      assert.equal(fake.getDeliveries('https://example.com/hook')[1].Message,
+        'Hi');
+    });
+  });
+
+  it('Should inject errors into calls', function() {
+    var retried = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:app',
+      retry: {baseDelay: 1},
+      sns: fake
+    });
+
+    fake.injectError('publish', 'Throttling', {times: 2});
+
+    return retried.sendMessage('arn:1', 'Hi').then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.code, 'NotFound');
+      assert.equal(fake.errors.length, 0);
+
+      fake.injectError('createTopic', new Error('boom'));
+
+      return sns.createTopic('offers');
+    }).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'boom');
+    });
+  });
+
+  it('Should fail publishes to disabled endpoints', function() {
+    var pruned;
+
+    sns.pruneEndpoints = true;
+    sns.on(SNS.EVENTS.PRUNED_USER, function(endpointArn, reason) {
+      pruned = [endpointArn, reason];
+    });
+
+    return sns.addUser('token-1', null).then(function(endpointArn) {
+      fake.disableEndpoint(endpointArn);
+
+      return sns.sendMessage(endpointArn, 'Hi').then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        assert.equal(err.code, 'EndpointDisabled');
+        assert.deepEqual(pruned, [endpointArn, 'EndpointDisabled']);
+        assert.equal(fake.published.length, 0);
+      });
+    });
+  });
+
+  it('Should not skip endpoints deleted while paging', function() {
+    return addUsers(['a', 'b', 'c', 'd', 'e', 'f']).then(function(arns) {
+      arns.forEach(function(arn) {
+        fake.disableEndpoint(arn);
+      });
+
+      return sns.pruneDisabledUsers();
+    }).then(function(report) {
+      assert.deepEqual(report, {
+        scanned: 6,
+        disabled: 6,
+        deleted: 6,
+        failed: []
+      });
+      assert.deepEqual(Object.keys(fake.endpoints), []);
+    });
+  });
+
+  it('Should not skip subscriptions deleted while paging', function() {
+    var topicArn, endpointArns;
+
+    return addUsers(['a', 'b', 'c', 'd', 'e']).then(function(arns) {
+      endpointArns = arns;
+
+      return sns.createTopic('offers');
+    }).then(function(arn) {
+      topicArn = arn;
+
+      return sns.subscribeMany(endpointArns, topicArn);
+    }).then(function() {
+      return sns.unsubscribeAll(topicArn);
+    }).then(function(results) {
+      assert.equal(results.length, 5);
+      assert.deepEqual(Object.keys(fake.subscriptions), []);
+
+      return sns.createTopic('news');
+    }).then(function(newsArn) {
+      return Promise.all([
+        sns.subscribeMany(endpointArns, topicArn),
+        sns.subscribeMany(endpointArns, newsArn),
+        sns.subscribe(endpointArns[1], newsArn)
+      ]);
+    }).then(function() {
+      return sns.unsubscribeEndpoint(endpointArns[0]);
+    }).then(function(results) {
+      assert.equal(results.length, 2);
+      assert.equal(Object.keys(fake.subscriptions).length, 9);
+    });
+  });
+
+  it('Should not deliver SMS to opted out numbers', function() {
+    fake.optOut('+353861234567');
+
+    return sns.sendSms('+353861234567', 'Hi').then(function() {
+      assert.equal(fake.published.length, 1);
+      assert.equal(fake.getDeliveries('+353861234567').length, 0);
+
+      return sns.optInPhoneNumber('+353861234567');
+    }).then(function() {
+      return sns.checkIfPhoneNumberIsOptedOut('+353861234567');
+    }).then(function(optedOut) {
+      assert.strictEqual(optedOut, false);
+    });
+  });
+});
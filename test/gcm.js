@@ -0,0 +1,138 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('GCM and ADM messages.', function() {
+  function createInterface(platform) {
+    return new SNS({
+      platform: platform,
+      platformApplicationArn: 'arn:app',
+      sns: {
+        createPlatformEndpoint: function() {},
+        getEndpointAttributes: function() {}
+      }
+    });
+  }
+
+  function convert(platform, message, opts) {
+    var key = (platform === SNS.SUPPORTED_PLATFORMS.ANDROID) ? 'GCM' : 'ADM';
+
+    return createInterface(platform).convertToGcmFormat(message, opts)
+      .then(function(container) {
+        return JSON.parse(container[key]);
+      });
+  }
+
+  function gcm(message, opts) {
+    return convert(SNS.SUPPORTED_PLATFORMS.ANDROID, message, opts);
+  }
+
+  function adm(message, opts) {
+    return convert(SNS.SUPPORTED_PLATFORMS.KINDLE_FIRE, message, opts);
+  }
+
+  function expectError(promise, message) {
+    return promise.then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, message);
+    });
+  }
+
+  it('Should keep converting plain Strings to data messages', function() {
+    return gcm('Hello').then(function(payload) {
+      assert.deepEqual(payload, {data: {message: 'Hello'}});
+
+      return adm('Hello');
+    }).then(function(payload) {
+      assert.deepEqual(payload, {data: {message: 'Hello'}});
+    });
+  });
+
+  it('Should build GCM notification messages', function() {
+    return gcm('Your order has shipped', {
+      notification: {title: 'Order update', clickAction: 'OPEN_ORDER'},
+      data: {orderId: '1234'},
+      channelId: 'orders',
+      priority: 'high',
+      ttl: 3600,
+      collapseKey: 'order-1234'
+    }).then(function(payload) {
+      assert.deepEqual(payload, {
+        notification: {
+          title: 'Order update',
+          'click_action': 'OPEN_ORDER',
+          body: 'Your order has shipped',
+          'android_channel_id': 'orders'
+        },
+        data: {orderId: '1234'},
+        priority: 'high',
+        'time_to_live': 3600,
+        'collapse_key': 'order-1234'
+      });
+    });
+  });
+
+  it('Should build FCM v1 messages', function() {
+    return gcm('Your order has shipped', {
+      fcmV1: true,
+      notification: {title: 'Order update', sound: 'default'},
+      data: {orderId: '1234'},
+      channelId: 'orders',
+      priority: 'high',
+      ttl: 3600
+    }).then(function(payload) {
+      assert.deepEqual(payload, {
+        fcmV1Message: {
+          message: {
+            notification: {title: 'Order update', body: 'Your order has shipped'},
+            data: {orderId: '1234'},
+            android: {
+              priority: 'HIGH',
+              ttl: '3600s',
+              notification: {'channel_id': 'orders', sound: 'default'}
+            }
+          }
+        }
+      });
+    });
+  });
+
+  it('Should build ADM messages', function() {
+    return adm('Hello', {
+      data: {orderId: '1234'},
+      consolidationKey: 'orders',
+      expiresAfter: 3600
+    }).then(function(payload) {
+      assert.deepEqual(payload, {
+        data: {message: 'Hello', orderId: '1234'},
+        consolidationKey: 'orders',
+        expiresAfter: 3600
+      });
+    });
+  });
+
+  it('Should reject invalid options', function() {
+    return expectError(gcm('Hello', {data: {id: 1}}),
+      'GCM data value "id" must be a String.'
+    ).then(function() {
+      return expectError(gcm('Hello', {priority: 'urgent'}),
+        'GCM option "priority" must be "high" or "normal".');
+    }).then(function() {
+      return expectError(gcm('Hello', {channelId: 'orders'}),
+        'GCM option "channelId" requires a notification.');
+    }).then(function() {
+      return expectError(adm('Hello', {expiresAfter: 10}),
+        'ADM option "expiresAfter" must be a Number of seconds from 60 to 2678400.');
+    });
+  });
+
+  it('Should reject payloads over the size limit', function() {
+    var padding = new Array(4097).join('x');
+
+    return gcm(null, {data: {padding: padding}}).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert(/^GCM payload is \d+ bytes, the maximum is 4096 bytes.$/.test(err.message));
+    });
+  });
+});
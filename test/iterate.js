@@ -0,0 +1,178 @@
+var assert = require('assert'),
+  async = require('async'),
+  SNS = require('../lib/interface');
+
+var APPLICATION_ARN = 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp';
+
+describe('Iterating and streaming lists.', function() {
+  var fake, sns, fetched, endpoints;
+
+  // Two pages of endpoints with an empty page between them, as SNS can
+  // return, recording the NextToken of each page fetched
+  beforeEach(function() {
+    var list;
+
+    fake = new SNS.FakeSNS({pageSize: 2});
+    list = fake.listEndpointsByPlatformApplication;
+    fetched = [];
+    fake.listEndpointsByPlatformApplication = function(params, callback) {
+      var token = params.NextToken || null;
+
+      if (token && fetched.indexOf(token) === -1) {
+        fetched.push(token);
+        return async.setImmediate(function() {
+          callback(null, {Endpoints: [], NextToken: token});
+        });
+      }
+
+      fetched.push(token);
+      list.call(fake, params, callback);
+    };
+
+    sns = createInterface();
+
+    return Promise.all(['1', '2', '3'].map(function(token) {
+      return sns.addUser(token, null);
+    })).then(function() {
+      endpoints = Object.keys(fake.endpoints).sort().map(function(arn) {
+        return {EndpointArn: arn, Attributes: fake.endpoints[arn].Attributes};
+      });
+    });
+  });
+
+  function createInterface() {
+    return new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: APPLICATION_ARN,
+      sns: fake
+    });
+  }
+
+  it('Should only fetch pages as users are consumed', function() {
+    var users = sns.iterateUsers();
+
+    assert.equal(users[Symbol.asyncIterator](), users);
+
+    return users.next().then(function(result) {
+      assert.deepEqual(result, {value: endpoints[0], done: false});
+
+      return users.next();
+    }).then(function(result) {
+      assert.equal(result.value.EndpointArn, endpoints[1].EndpointArn);
+      assert.equal(fetched.length, 1);
+
+      return users.next();
+    }).then(function(result) {
+      assert.equal(result.value.EndpointArn, endpoints[2].EndpointArn);
+      assert.equal(fetched.length, 3);
+
+      return users.next();
+    }).then(function(result) {
+      assert.equal(result.done, true);
+    });
+  });
+
+  it('Should not fetch a page twice for parallel calls to next', function() {
+    var list = fake.listEndpointsByPlatformApplication
+      , users = sns.iterateUsers();
+
+    fake.listEndpointsByPlatformApplication = function(params, callback) {
+      setTimeout(list.bind(fake, params, callback), 5);
+    };
+
+    return Promise.all([
+      users.next(),
+      users.next(),
+      users.next(),
+      users.next()
+    ]).then(function(results) {
+      assert.deepEqual(results.map(function(result) {
+        return result.done ? null : result.value.EndpointArn;
+      }), endpoints.map(function(endpoint) {
+        return endpoint.EndpointArn;
+      }).concat(null));
+      assert.equal(fetched.length, 3);
+    });
+  });
+
+  it('Should reject if fetching a page fails', function() {
+    var users = sns.iterateUsers();
+
+    fake.injectError('listEndpointsByPlatformApplication',
+      new Error('Connection reset'));
+
+    return users.next().then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'Connection reset');
+    });
+  });
+
+  it('Should iterate subscriptions for a topic', function() {
+    var topicArn;
+
+    return sns.createTopic('news').then(function(arn) {
+      topicArn = arn;
+
+      return sns.subscribe(endpoints[0].EndpointArn, topicArn);
+    }).then(function(subscriptionArn) {
+      return sns.iterateSubscriptions(topicArn).next().then(function(result) {
+        assert.deepEqual(result.value, {
+          SubscriptionArn: subscriptionArn,
+          Owner: fake.accountId,
+          Protocol: 'application',
+          Endpoint: endpoints[0].EndpointArn,
+          TopicArn: topicArn,
+          PendingConfirmation: false
+        });
+      });
+    });
+  });
+
+  it('Should stream users', function(done) {
+    var users = [];
+
+    sns.createUsersStream().on('data', function(user) {
+      users.push(user.EndpointArn);
+    }).on('end', function() {
+      assert.deepEqual(users, endpoints.map(function(endpoint) {
+        return endpoint.EndpointArn;
+      }));
+      done();
+    });
+  });
+
+  it('Should not fetch pages while a stream is paused', function() {
+    var tokens = [];
+
+    // Pages larger than the stream's buffer
+    fake = new SNS.FakeSNS({pageSize: 20});
+    sns = createInterface();
+
+    return Promise.all(new Array(41).join(',').split(',').map(function(v, i) {
+      return sns.addUser('token-' + i, null);
+    })).then(function() {
+      var list = fake.listEndpointsByPlatformApplication;
+
+      fake.listEndpointsByPlatformApplication = function(params, callback) {
+        tokens.push(params.NextToken || null);
+        list.call(fake, params, callback);
+      };
+
+      return new Promise(function(resolve) {
+        var users = sns.createUsersStream();
+
+        users.once('readable', function() {
+          setTimeout(function() {
+            assert.equal(tokens.length, 1);
+            users.read();
+            setTimeout(function() {
+              assert.equal(tokens.length, 1);
+              resolve();
+            }, 10);
+          }, 10);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+var MessageBuilder = SNS.MessageBuilder;
+
+describe('MessageBuilder.', function() {
+  it('Should render every platform key', function() {
+    var message = new MessageBuilder({
+      title: 'Sale',
+      body: 'Everything is half price',
+      badge: 2,
+      sound: 'default',
+      data: {url: 'https://example.com', id: 7},
+      collapseKey: 'sale',
+      ttl: 3600,
+      priority: 'high'
+    }).render();
+
+    assert.equal(message['default'], 'Everything is half price');
+    assert.deepEqual(JSON.parse(message.GCM), {
+      notification: {title: 'Sale', body: 'Everything is half price', sound: 'default'},
+      // GCM only accepts String data values, as ADM
+      data: {url: 'https://example.com', id: '7'},
+      'collapse_key': 'sale',
+      'time_to_live': 3600,
+      priority: 'high'
+    });
+    assert.deepEqual(JSON.parse(message.ADM), {
+      data: {title: 'Sale', message: 'Everything is half price', url: 'https://example.com', id: '7'},
+      consolidationKey: 'sale',
+      expiresAfter: 3600
+    });
+    assert.deepEqual(JSON.parse(message.APNS), {
+      aps: {alert: {title: 'Sale', body: 'Everything is half price'}, badge: 2, sound: 'default'},
+      url: 'https://example.com',
+      id: 7
+    });
+    assert.equal(message.APNS_SANDBOX, message.APNS);
+    assert.equal(message.APNS_VOIP, message.APNS);
+    assert.equal(message.MACOS_SANDBOX, message.APNS);
+    assert.deepEqual(JSON.parse(message.BAIDU), {
+      title: 'Sale',
+      description: 'Everything is half price',
+      'custom_content': {url: 'https://example.com', id: 7}
+    });
+    assert.ok(message.MPNS.indexOf('<wp:Text1>Sale</wp:Text1>') !== -1);
+    assert.ok(message.WNS.indexOf('<text id="1">Sale</text>') !== -1);
+    assert.deepEqual(MessageBuilder.PLATFORM_KEYS.sort(), Object.keys(message)
+      .filter(function(key) {
+        return key !== 'default';
+      }).sort());
+  });
+
+  it('Should replace XML payloads with String overrides', function() {
+    var message = new MessageBuilder({body: 'Hi'})
+      .override('WNS', '<badge value="2"/>')
+      .render();
+
+    assert.equal(message.WNS, '<badge value="2"/>');
+  });
+
+  it('Should apply per-platform overrides', function() {
+    var message = new MessageBuilder()
+      .set('body', 'Hello')
+      .override('APNS', {aps: {category: 'GREETING'}})
+      .render();
+
+    assert.deepEqual(JSON.parse(message.APNS), {
+      aps: {alert: 'Hello', category: 'GREETING'}
+    });
+    assert.deepEqual(JSON.parse(message.APNS_SANDBOX), {
+      aps: {alert: 'Hello'}
+    });
+  });
+
+  it('Should reject unknown fields and platform keys', function() {
+    assert.throws(function() {
+      new MessageBuilder({colour: 'red'});
+    }, /Unsupported message field/);
+    assert.throws(function() {
+      new MessageBuilder().override('FOO', {});
+    }, /Unsupported platform key/);
+  });
+
+  it('Should require a title or body', function() {
+    assert.throws(function() {
+      new MessageBuilder({badge: 1}).render();
+    }, /requires a title or body/);
+  });
+
+  it('Should render the message key of every platform', function() {
+    var published = [];
+    var sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.APNS_VOIP,
+      platformApplicationArn: 'arn:app',
+      sns: {
+        createPlatformEndpoint: function() {},
+        getEndpointAttributes: function() {},
+        publish: function(params, callback) {
+          published.push(JSON.parse(params.Message));
+          callback(null, {MessageId: 'id'});
+        }
+      }
+    });
+
+    return sns.sendMessage('arn:endpoint', new MessageBuilder({body: 'Ring'}))
+      .then(function() {
+        assert.deepEqual(JSON.parse(published[0].APNS_VOIP), {
+          aps: {alert: 'Ring'}
+        });
+      });
+  });
+
+  it('Should be accepted by sendMessage and publishToTopic', function() {
+    var published = [];
+    var sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.IOS,
+      platformApplicationArn: 'arn:app',
+      sns: {
+        createPlatformEndpoint: function() {},
+        getEndpointAttributes: function() {},
+        publish: function(params, callback) {
+          published.push(JSON.parse(params.Message));
+          callback(null, {MessageId: 'id'});
+        }
+      }
+    });
+    var message = new MessageBuilder({body: 'Hello'});
+
+    return sns.sendMessage('arn:endpoint', message).then(function() {
+      return sns.publishToTopic('arn:topic', message);
+    }).then(function() {
+      assert.deepEqual(published[0], message.render());
+      assert.deepEqual(published[1], message.render());
+    });
+  });
+});
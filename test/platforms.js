@@ -0,0 +1,126 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Platforms.', function() {
+  var published;
+
+  function createInterface(platform, sandbox) {
+    published = [];
+
+    return new SNS({
+      platform: platform,
+      sandbox: sandbox,
+      platformApplicationArn: 'arn:app',
+      sns: {
+        createPlatformEndpoint: function() {},
+        getEndpointAttributes: function() {},
+        publish: function(params, callback) {
+          published.push(params);
+          callback(null, {MessageId: 'id'});
+        }
+      }
+    });
+  }
+
+  function send(platform, sandbox, message, opts) {
+    return createInterface(platform, sandbox).sendMessage('arn:endpoint', message, opts)
+      .then(function() {
+        return JSON.parse(published[0].Message);
+      });
+  }
+
+  it('Should support every SNS platform', function() {
+    ['FCM', 'APNS_VOIP', 'APNS_VOIP_SANDBOX', 'MACOS', 'BAIDU', 'MPNS', 'WNS'].forEach(function(platform) {
+      assert.equal(SNS.SUPPORTED_PLATFORMS[platform], platform);
+      assert(SNS.deviceSupported(platform));
+    });
+  });
+
+  it('Should use the message key for each platform and sandbox', function() {
+    return send('FCM', false, 'Hi').then(function(message) {
+      assert.deepEqual(Object.keys(message), ['GCM']);
+
+      return send('APNS_VOIP', true, 'Hi');
+    }).then(function(message) {
+      assert.deepEqual(JSON.parse(message.APNS_VOIP_SANDBOX), {aps: {alert: 'Hi'}});
+
+      return send('APNS_VOIP_SANDBOX', false, 'Hi');
+    }).then(function(message) {
+      assert.deepEqual(Object.keys(message), ['APNS_VOIP_SANDBOX']);
+
+      return send('MACOS', false, 'Hi');
+    }).then(function(message) {
+      assert.deepEqual(Object.keys(message), ['MACOS']);
+
+      return send('android', false, 'Hi');
+    }).then(function(message) {
+      assert.deepEqual(Object.keys(message), ['GCM']);
+    });
+  });
+
+  it('Should convert messages for Baidu', function() {
+    return send('BAIDU', false, 'Hi', {title: 'Greeting', data: {id: 1}}).then(function(message) {
+      assert.deepEqual(JSON.parse(message.BAIDU), {
+        title: 'Greeting',
+        description: 'Hi',
+        'custom_content': {id: 1}
+      });
+    });
+  });
+
+  it('Should convert messages to MPNS toasts', function() {
+    return send('MPNS', false, 'Tom & Jerry', {title: 'Now on'}).then(function(message) {
+      assert.equal(message.MPNS, '<?xml version="1.0" encoding="utf-8"?>' +
+        '<wp:Notification xmlns:wp="WPNotification"><wp:Toast>' +
+        '<wp:Text1>Now on</wp:Text1><wp:Text2>Tom &amp; Jerry</wp:Text2>' +
+        '</wp:Toast></wp:Notification>');
+      assert.deepEqual(published[0].MessageAttributes, {
+        'AWS.SNS.MOBILE.MPNS.Type': {DataType: 'String', StringValue: 'toast'},
+        'AWS.SNS.MOBILE.MPNS.NotificationClass': {
+          DataType: 'String',
+          StringValue: 'realtime'
+        }
+      });
+    });
+  });
+
+  it('Should send the MPNS notification class', function() {
+    return send('MPNS', false, 'Hi', {notificationClass: 'regular'}).then(function() {
+      assert.equal(published[0].MessageAttributes[
+        'AWS.SNS.MOBILE.MPNS.NotificationClass'].StringValue, 'regular');
+
+      return send('MPNS', false, 'Hi', {notificationClass: 'later'});
+    }).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'Option "notificationClass" must be one of ' +
+        'realtime, priority, regular, got "later".');
+      assert.equal(published.length, 0);
+    });
+  });
+
+  it('Should convert messages to WNS toasts', function() {
+    return send('WNS', false, 'Hi', {launch: 'page=1'}).then(function(message) {
+      assert.equal(message.WNS, '<toast launch="page=1"><visual>' +
+        '<binding template="ToastText01"><text id="1">Hi</text></binding>' +
+        '</visual></toast>');
+      assert.deepEqual(published[0].MessageAttributes, {
+        'AWS.SNS.MOBILE.WNS.Type': {DataType: 'String', StringValue: 'wns/toast'}
+      });
+
+      return send('WNS', false, {WNS: '<badge value="2"/>'}, {type: 'wns/badge'});
+    }).then(function(message) {
+      assert.equal(message.WNS, '<badge value="2"/>');
+      assert.equal(published[0].MessageAttributes['AWS.SNS.MOBILE.WNS.Type'].StringValue, 'wns/badge');
+    });
+  });
+
+  it('Should reject Objects that are not in the Windows formats', function() {
+    return send('WNS', false, {foo: 'bar'}).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'Unable to convert message to WNS format. ' +
+        'Message must be String/Object containing the WNS key.');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Promise API.', function() {
+  var fake, sns;
+
+  beforeEach(function() {
+    fake = new SNS.FakeSNS();
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp',
+      sns: fake
+    });
+  });
+
+  it('Should return a Promise when no callback is given', function() {
+    var p = sns.addUser('token', JSON.stringify({username: 'user'}));
+
+    assert(p instanceof Promise);
+
+    return p.then(function(endpointArn) {
+      assert.deepEqual(Object.keys(fake.endpoints), [endpointArn]);
+      assert.equal(fake.endpoints[endpointArn].Attributes.Token, 'token');
+    });
+  });
+
+  it('Should support omitting optional arguments', function() {
+    var endpointArn;
+
+    return sns.addUser('token').then(function(arn) {
+      endpointArn = arn;
+      assert.equal(fake.endpoints[endpointArn].Attributes.Token, 'token');
+
+      return sns.createTopic('news');
+    }).then(function(topicArn) {
+      return sns.subscribe(endpointArn, topicArn);
+    }).then(function() {
+      return sns.getSubscriptions();
+    }).then(function(subscriptions) {
+      assert.equal(subscriptions.length, 1);
+      assert.equal(subscriptions[0].Endpoint, endpointArn);
+    });
+  });
+
+  it('Should reject with the SNS error and emit events', function() {
+    var emitted = false;
+
+    fake.injectError('createPlatformEndpoint', new Error('Invalid token'));
+    sns.on(SNS.EVENTS.ADD_USER_FAILED, function(token, err) {
+      assert.equal(token, 'bad');
+      assert(err);
+      emitted = true;
+    });
+
+    return sns.addUser('bad').then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'Invalid token');
+      assert(emitted);
+    });
+  });
+
+  it('Should resolve with MessageId and TopicArn', function() {
+    return sns.addUser('token').then(function(endpointArn) {
+      return sns.sendMessage(endpointArn, 'Hi');
+    }).then(function(id) {
+      assert.equal(id, fake.published[0].MessageId);
+
+      return sns.createTopic('news');
+    }).then(function(topicArn) {
+      assert.equal(topicArn, 'arn:aws:sns:us-east-1:123456789012:news');
+    });
+  });
+
+  it('Should still support callbacks', function(done) {
+    sns.addUser('token', function(err, endpointArn) {
+      assert(!err);
+
+      var res = sns.sendMessage(endpointArn, 'Hi', function(err, id) {
+        assert(!err);
+        assert.equal(id, fake.published[0].MessageId);
+        done();
+      });
+
+      assert.strictEqual(res, undefined);
+    });
+  });
+});
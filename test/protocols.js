@@ -0,0 +1,108 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Subscription protocols.', function() {
+  var calls, sns;
+
+  beforeEach(function() {
+    calls = [];
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:app',
+      sns: {
+        createPlatformEndpoint: function() {},
+        getEndpointAttributes: function() {},
+        subscribe: function(params, callback) {
+          calls.push(params);
+          callback(null, {
+            SubscriptionArn: params.Protocol === 'https' ?
+              'pending confirmation' : 'arn:sub'
+          });
+        },
+        confirmSubscription: function(params, callback) {
+          calls.push(params);
+          callback(null, {SubscriptionArn: 'arn:sub'});
+        },
+        listSubscriptionsByTopic: function(params, callback) {
+          callback(null, {
+            Subscriptions: [
+              {SubscriptionArn: 'arn:sub', Protocol: 'sqs'},
+              {SubscriptionArn: 'PendingConfirmation', Protocol: 'https'}
+            ]
+          });
+        }
+      }
+    });
+  });
+
+  function expectError(promise, message) {
+    return promise.then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, message);
+      assert.equal(calls.length, 0);
+    });
+  }
+
+  it('Should subscribe endpoints of other protocols', function() {
+    return sns.subscribeProtocol('sqs', 'arn:aws:sqs:eu-west-1:1234:audit', 'arn:topic', {
+      rawMessageDelivery: true
+    }).then(function(subscriptionArn) {
+      assert.equal(subscriptionArn, 'arn:sub');
+      assert.deepEqual(calls[0], {
+        Endpoint: 'arn:aws:sqs:eu-west-1:1234:audit',
+        TopicArn: 'arn:topic',
+        Protocol: 'sqs',
+        Attributes: {RawMessageDelivery: 'true'}
+      });
+
+      return sns.subscribeProtocol('https', 'https://example.com/hook', 'arn:topic');
+    }).then(function(subscriptionArn) {
+      assert.equal(subscriptionArn, 'pending confirmation');
+    });
+  });
+
+  it('Should validate the endpoint for each protocol', function() {
+    return expectError(sns.subscribeProtocol('https', 'http://example.com', 'arn:topic'),
+      'Invalid endpoint "http://example.com" for protocol "https".'
+    ).then(function() {
+      return expectError(sns.subscribeProtocol('sms', '0861234567', 'arn:topic'),
+        'Invalid endpoint "0861234567" for protocol "sms".');
+    }).then(function() {
+      return expectError(sns.subscribeProtocol('email', 'someone', 'arn:topic'),
+        'Invalid endpoint "someone" for protocol "email".');
+    }).then(function() {
+      return expectError(sns.subscribeProtocol('ftp', 'ftp://example.com', 'arn:topic'),
+        'Unsupported subscription protocol "ftp". Please use a protocol ' +
+        'from SNS.SUBSCRIPTION_PROTOCOLS');
+    });
+  });
+
+  it('Should confirm subscriptions', function() {
+    var confirmed;
+
+    sns.on(SNS.EVENTS.SUBSCRIPTION_CONFIRMED, function(subscriptionArn) {
+      confirmed = subscriptionArn;
+    });
+
+    return sns.confirmSubscription('arn:topic', 'token', {
+      authenticateOnUnsubscribe: true
+    }).then(function(subscriptionArn) {
+      assert.equal(subscriptionArn, 'arn:sub');
+      assert.equal(confirmed, 'arn:sub');
+      assert.deepEqual(calls[0], {
+        TopicArn: 'arn:topic',
+        Token: 'token',
+        AuthenticateOnUnsubscribe: 'true'
+      });
+    });
+  });
+
+  it('Should report pending confirmations', function() {
+    return sns.getSubscriptions('arn:topic').then(function(subscriptions) {
+      assert.deepEqual(subscriptions.map(function(subscription) {
+        return subscription.PendingConfirmation;
+      }), [false, true]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Endpoint pruning.', function() {
+  var fake, endpoints;
+
+  // Two pages of endpoints, those for tokens 2 and 3 disabled
+  function createInterface(pruneEndpoints) {
+    var sns;
+
+    fake = new SNS.FakeSNS({pageSize: 2});
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp',
+      pruneEndpoints: pruneEndpoints,
+      sns: fake
+    });
+
+    return Promise.all(['1', '2', '3', '4'].map(function(token) {
+      return sns.addUser(token, null);
+    })).then(function(endpointArns) {
+      endpoints = endpointArns;
+      fake.disableEndpoint(endpoints[1]);
+      fake.disableEndpoint(endpoints[2]);
+
+      return sns;
+    });
+  }
+
+  it('Should not delete endpoints unless pruning is enabled', function() {
+    return createInterface().then(function(sns) {
+      return sns.sendMessage(endpoints[1], 'Hi');
+    }).then(null, function(err) {
+      assert.equal(err.code, 'EndpointDisabled');
+      assert(fake.endpoints[endpoints[1]]);
+    });
+  });
+
+  it('Should delete an endpoint after an EndpointDisabled send failure', function() {
+    var deleted = [];
+
+    return createInterface(true).then(function(sns) {
+      sns.on(SNS.EVENTS.DELETED_USER, function(endpointArn) {
+        deleted.push(endpointArn);
+      });
+
+      return sns.sendMessage(endpoints[1], 'Hi');
+    }).then(null, function(err) {
+      assert.equal(err.code, 'EndpointDisabled');
+      assert.deepEqual(deleted, [endpoints[1]]);
+      assert(!fake.endpoints[endpoints[1]]);
+    });
+  });
+
+  it('Should pass disabled endpoints to a hook instead of deleting them', function() {
+    var flagged = [];
+
+    return createInterface(function(endpointArn, reason, callback) {
+      flagged.push(endpointArn + ':' + reason);
+      callback();
+    }).then(function(sns) {
+      return sns.getUser(endpoints[2]);
+    }).then(function(user) {
+      assert.equal(user.Attributes.Enabled, 'false');
+      assert.deepEqual(flagged, [endpoints[2] + ':EndpointDisabled']);
+      assert(fake.endpoints[endpoints[2]]);
+    });
+  });
+
+  it('Should sweep disabled users across pages', function() {
+    var deleted = [];
+
+    return createInterface().then(function(sns) {
+      sns.on(SNS.EVENTS.DELETED_USER, function(endpointArn) {
+        deleted.push(endpointArn);
+      });
+
+      return sns.pruneDisabledUsers();
+    }).then(function(report) {
+      assert.deepEqual(report, {
+        scanned: 4,
+        disabled: 2,
+        deleted: 2,
+        failed: []
+      });
+      assert.deepEqual(deleted.sort(), endpoints.slice(1, 3).sort());
+      assert.deepEqual(Object.keys(fake.endpoints).sort(),
+        [endpoints[0], endpoints[3]].sort());
+    });
+  });
+});
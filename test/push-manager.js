@@ -0,0 +1,111 @@
+var assert = require('assert'),
+  async = require('async'),
+  SNS = require('../lib/interface');
+
+var PREFIX = 'arn:aws:sns:eu-west-1:1234:';
+
+describe('PushManager.', function() {
+  var fake, manager, endpoints;
+
+  // An Android and an iOS sandbox application that have one endpoint each,
+  // and an application for a platform the library doesn't support
+  beforeEach(function(done) {
+    endpoints = {};
+    fake = new SNS.FakeSNS({region: 'eu-west-1', accountId: '1234'});
+    manager = new SNS.PushManager({sns: fake});
+
+    async.eachSeries(['GCM', 'APNS_SANDBOX', 'UNKNOWN'], function(platform, cb) {
+      fake.createPlatformApplication({
+        Platform: platform,
+        Name: 'Shop'
+      }, function(err, res) {
+        if (err || platform === 'UNKNOWN') {
+          return cb(err);
+        }
+
+        fake.createPlatformEndpoint({
+          PlatformApplicationArn: res.PlatformApplicationArn,
+          Token: platform.toLowerCase()
+        }, function(err, res) {
+          endpoints[platform] = res && res.EndpointArn;
+          cb(err);
+        });
+      });
+    }, done);
+  });
+
+  it('Should discover applications', function() {
+    return manager.discoverApplications().then(function(names) {
+      assert.deepEqual(names, ['APNS_SANDBOX/Shop', 'GCM/Shop']);
+      assert.equal(manager.getApplication('APNS_SANDBOX/Shop').platform, 'IOS');
+      assert.equal(manager.getApplication('APNS_SANDBOX/Shop').sandbox, true);
+
+      return manager.discoverApplications();
+    }).then(function(names) {
+      assert.deepEqual(names, []);
+    });
+  });
+
+  it('Should route by name, platform and ARN', function() {
+    var android = manager.addApplication('android', {
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: PREFIX + 'app/GCM/Shop'
+    });
+    var ios = manager.addApplication('ios', {
+      platform: SNS.SUPPORTED_PLATFORMS.IOS,
+      platformApplicationArn: PREFIX + 'app/APNS_SANDBOX/Shop',
+      sandbox: true
+    });
+
+    assert.equal(manager.route('ios'), ios);
+    assert.equal(manager.route('ANDROID'), android);
+    assert.equal(manager.route('APNS_SANDBOX'), ios);
+    assert.equal(manager.route(endpoints.GCM), android);
+    assert.throws(function() {
+      manager.route('KINDLE_FIRE');
+    }, /No application matches "KINDLE_FIRE"./);
+
+    return manager.addUser('ios', 'token').then(function(endpointArn) {
+      assert.equal(fake.endpoints[endpointArn].PlatformApplicationArn,
+        PREFIX + 'app/APNS_SANDBOX/Shop');
+
+      return manager.sendMessage(endpoints.GCM, 'Hi');
+    }).then(function() {
+      assert.deepEqual(Object.keys(JSON.parse(fake.published[0].Message)),
+        ['GCM']);
+    });
+  });
+
+  it('Should reject targets that match several applications', function() {
+    return manager.discoverApplications().then(function() {
+      manager.addApplication('ios-prod', {
+        platform: SNS.SUPPORTED_PLATFORMS.IOS,
+        platformApplicationArn: PREFIX + 'app/APNS/Shop'
+      });
+
+      return manager.addUser('IOS', 'token');
+    }).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, '"IOS" matches more than one application. ' +
+        'Please use an application name.');
+    });
+  });
+
+  it('Should broadcast to every application and merge events', function() {
+    var sent = [];
+
+    manager.on(SNS.EVENTS.SENT_MESSAGE, function(endpointArn, id, name) {
+      sent.push(name);
+    });
+
+    return manager.discoverApplications().then(function() {
+      return manager.broadcastMessage('Hello');
+    }).then(function(report) {
+      assert.equal(report.attempted, 2);
+      assert.equal(report.succeeded, 2);
+      assert.equal(report.applications['GCM/Shop'].succeeded, 1);
+      assert.deepEqual(sent.sort(), ['APNS_SANDBOX/Shop', 'GCM/Shop']);
+    });
+  });
+});
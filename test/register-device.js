@@ -0,0 +1,124 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+var STATUS = SNS.REGISTRATION_STATUS;
+
+var APPLICATION_ARN = 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp';
+
+describe('registerDevice.', function() {
+  var fake, sns;
+
+  beforeEach(function() {
+    fake = new SNS.FakeSNS();
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: APPLICATION_ARN,
+      sns: fake
+    });
+  });
+
+  function getAttributes(endpointArn) {
+    return fake.endpoints[endpointArn].Attributes;
+  }
+
+  it('Should create an endpoint for a new token', function() {
+    return sns.registerDevice('token', {user: 1}).then(function(res) {
+      assert.deepEqual(Object.keys(fake.endpoints), [res.EndpointArn]);
+      assert.equal(res.status, STATUS.CREATED);
+      assert.equal(getAttributes(res.EndpointArn).CustomUserData, '{"user":1}');
+    });
+  });
+
+  it('Should repair an endpoint registered with different data', function() {
+    var registered = null
+      , endpointArn;
+
+    sns.on(SNS.EVENTS.REGISTERED_USER, function(endpointArn, token, status) {
+      registered = status;
+    });
+
+    return sns.registerDevice('token', 'old').then(function(res) {
+      endpointArn = res.EndpointArn;
+
+      return sns.registerDevice('token', 'new');
+    }).then(function(res) {
+      assert.equal(res.EndpointArn, endpointArn);
+      assert.equal(res.status, STATUS.REPAIRED);
+      assert.equal(registered, STATUS.REPAIRED);
+      assert.equal(getAttributes(res.EndpointArn).CustomUserData, 'new');
+    });
+  });
+
+  it('Should reuse an endpoint registered with the same data', function() {
+    var added = [];
+
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: APPLICATION_ARN,
+      registry: new SNS.MemoryEndpointRegistry(),
+      sns: fake
+    });
+    sns.on(SNS.EVENTS.ADDED_USER, function(endpointArn) {
+      added.push(endpointArn);
+    });
+
+    return sns.registerDevice('token', 'data').then(function(res) {
+      assert.equal(res.status, STATUS.CREATED);
+
+      return sns.registerDevice('token', 'data');
+    }).then(function(res) {
+      assert.equal(res.status, STATUS.REUSED);
+      assert.deepEqual(added, [res.EndpointArn]);
+    });
+  });
+
+  it('Should look up the token to tell if an endpoint is new', function() {
+    return sns.registerDevice('token', 'data', {lookup: true})
+      .then(function(res) {
+        assert.equal(res.status, STATUS.CREATED);
+
+        return sns.registerDevice('token', 'data', {lookup: true});
+      }).then(function(res) {
+        assert.equal(res.status, STATUS.REUSED);
+      });
+  });
+
+  it('Should re-enable a disabled endpoint', function() {
+    return sns.registerDevice('token', 'data').then(function(res) {
+      fake.disableEndpoint(res.EndpointArn);
+
+      return sns.registerDevice('token', 'data');
+    }).then(function(res) {
+      assert.equal(res.status, STATUS.REPAIRED);
+      assert.equal(getAttributes(res.EndpointArn).Enabled, 'true');
+    });
+  });
+
+  it('Should reuse a stored EndpointArn and update its token', function() {
+    return sns.registerDevice('token', 'data').then(function(res) {
+      return sns.registerDevice('token', 'data', {
+        endpointArn: res.EndpointArn
+      });
+    }).then(function(res) {
+      assert.equal(res.status, STATUS.REUSED);
+
+      return sns.registerDevice('rotated', 'data', {
+        endpointArn: res.EndpointArn
+      });
+    }).then(function(res) {
+      assert.equal(res.status, STATUS.REPAIRED);
+      assert.equal(getAttributes(res.EndpointArn).Token, 'rotated');
+    });
+  });
+
+  it('Should create an endpoint if the stored EndpointArn is gone', function(done) {
+    sns.registerDevice('token', null, {
+      endpointArn: APPLICATION_ARN.replace('app/', 'endpoint/') + '/deleted'
+    }, function(err, res) {
+      assert(!err);
+      assert.deepEqual(Object.keys(fake.endpoints), [res.EndpointArn]);
+      assert.equal(res.status, STATUS.CREATED);
+      done();
+    });
+  });
+});
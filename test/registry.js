@@ -0,0 +1,109 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Endpoint registry.', function() {
+  var registry, sns, published, endpointCount;
+
+  beforeEach(function() {
+    registry = new SNS.MemoryEndpointRegistry();
+    published = [];
+    endpointCount = 0;
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:app',
+      registry: registry,
+      sns: {
+        createPlatformEndpoint: function(params, callback) {
+          callback(null, {EndpointArn: 'arn:' + (++endpointCount)});
+        },
+        getEndpointAttributes: function() {},
+        setEndpointAttributes: function(params, callback) {
+          callback(null, {});
+        },
+        deleteEndpoint: function(params, callback) {
+          callback(null, {});
+        },
+        publish: function(params, callback) {
+          published.push(params.TargetArn);
+          callback(null, {MessageId: 'id'});
+        }
+      }
+    });
+  });
+
+  it('Should index users added with a userId', function() {
+    return sns.addUser('phone', JSON.stringify({userId: 1234})).then(function() {
+      return sns.addUser('tablet', JSON.stringify({userId: 1234}));
+    }).then(function() {
+      return sns.getUserEndpoints(1234);
+    }).then(function(endpointArns) {
+      assert.deepEqual(endpointArns, ['arn:1', 'arn:2']);
+
+      return sns.getEndpointByToken('tablet');
+    }).then(function(endpointArn) {
+      assert.equal(endpointArn, 'arn:2');
+    });
+  });
+
+  it('Should keep the registry up to date', function() {
+    return sns.addUser('phone', JSON.stringify({userId: 'a'})).then(function() {
+      return sns.setAttributes('arn:1', {
+        Token: 'new-phone',
+        CustomUserData: {userId: 'b'}
+      });
+    }).then(function() {
+      return sns.getUserEndpoints('a');
+    }).then(function(endpointArns) {
+      assert.deepEqual(endpointArns, []);
+
+      return sns.getEndpointByToken('new-phone');
+    }).then(function(endpointArn) {
+      assert.equal(endpointArn, 'arn:1');
+
+      return sns.deleteUser('arn:1');
+    }).then(function() {
+      return sns.getUserEndpoints('b');
+    }).then(function(endpointArns) {
+      assert.deepEqual(endpointArns, []);
+    });
+  });
+
+  it('Should send to all of a user\'s endpoints', function() {
+    return sns.addUser('phone', JSON.stringify({userId: 'a'})).then(function() {
+      return sns.addUser('tablet', JSON.stringify({userId: 'a'}));
+    }).then(function() {
+      return sns.addUser('other', JSON.stringify({userId: 'b'}));
+    }).then(function() {
+      return sns.sendToUser('a', 'Hello');
+    }).then(function(report) {
+      assert.equal(report.succeeded, 2);
+      assert.deepEqual(published, ['arn:1', 'arn:2']);
+    });
+  });
+
+  it('Should emit registry failures without failing the call', function() {
+    var failed;
+
+    registry.save = function(endpointArn, fields, callback) {
+      callback(new Error('Connection refused'));
+    };
+    sns.on(SNS.EVENTS.REGISTRY_UPDATE_FAILED, function(endpointArn, err) {
+      failed = err.message;
+    });
+
+    return sns.addUser('phone', '{}').then(function(endpointArn) {
+      assert.equal(endpointArn, 'arn:1');
+      assert.equal(failed, 'Connection refused');
+    });
+  });
+
+  it('Should require a registry to look up endpoints', function() {
+    sns.registry = null;
+
+    return sns.sendToUser('a', 'Hello').then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'The registry option is required to look up endpoints.');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Resumable broadcasts.', function() {
+  var fake, sns, store, tokens;
+
+  // Three pages of endpoints. Listing the third page fails once, as if the
+  // process had died there.
+  beforeEach(function() {
+    var list;
+
+    fake = new SNS.FakeSNS({pageSize: 1});
+    list = fake.listEndpointsByPlatformApplication;
+    tokens = [];
+    fake.listEndpointsByPlatformApplication = function(params, callback) {
+      tokens.push(params.NextToken || null);
+      list.call(fake, params, callback);
+    };
+    store = new SNS.MemoryCheckpointStore();
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp',
+      checkpointStore: store,
+      sns: fake
+    });
+
+    return Promise.all(['1', '2', '3'].map(function(token) {
+      return sns.addUser(token, null);
+    })).then(function() {
+      fake.injectError('listEndpointsByPlatformApplication',
+        new Error('Connection reset'), {
+          when: function() {
+            return tokens.length === 3;
+          }
+        });
+    });
+  });
+
+  it('Should emit a checkpoint after each page', function() {
+    var checkpoints = [];
+
+    sns.on(SNS.EVENTS.BROADCAST_CHECKPOINT, function(checkpoint) {
+      checkpoints.push(checkpoint.nextToken);
+    });
+
+    return sns.broadcastMessage('Hello').then(null, function(err) {
+      assert.equal(err.message, 'Connection reset');
+      assert.equal(checkpoints.length, 2);
+      assert.deepEqual(checkpoints, tokens.slice(1));
+    });
+  });
+
+  it('Should resume a failed broadcast from the stored checkpoint', function() {
+    var broadcastId;
+
+    sns.on(SNS.EVENTS.BROADCAST_CHECKPOINT, function(checkpoint) {
+      broadcastId = checkpoint.broadcastId;
+    });
+
+    return sns.broadcastMessage('Hello').then(null, function() {
+      return new Promise(function(resolve, reject) {
+        store.load(broadcastId, function(err, checkpoint) {
+          return err ? reject(err) : resolve(checkpoint);
+        });
+      });
+    }).then(function(checkpoint) {
+      assert.equal(checkpoint.nextToken, tokens[2]);
+      assert.equal(checkpoint.pages, 2);
+
+      return sns.resumeBroadcast(checkpoint, 'Hello');
+    }).then(function(report) {
+      assert.equal(report.broadcastId, broadcastId);
+      assert.equal(report.attempted, 1);
+      assert.deepEqual(fake.published.map(function(published) {
+        return published.TargetArn;
+      }), Object.keys(fake.endpoints).sort());
+      assert.deepEqual(store.checkpoints, {});
+    });
+  });
+
+  it('Should require a checkpoint with a broadcastId', function() {
+    return sns.resumeBroadcast({}, 'Hello').then(null, function(err) {
+      assert.equal(err.message, 'Argument "checkpoint" must contain a broadcastId.');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+var APPLICATION_ARN = 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp';
+
+describe('Retries.', function() {
+  var fake, endpointArn, calls;
+
+  // Count the calls to publish, including those that fail
+  beforeEach(function(done) {
+    var publish;
+
+    fake = new SNS.FakeSNS();
+    publish = fake.publish;
+    calls = 0;
+    fake.publish = function(params, callback) {
+      calls++;
+      publish.call(fake, params, callback);
+    };
+
+    fake.createPlatformEndpoint({
+      PlatformApplicationArn: APPLICATION_ARN,
+      Token: 'token'
+    }, function(err, res) {
+      endpointArn = res && res.EndpointArn;
+      done(err);
+    });
+  });
+
+  function createInterface(retry) {
+    return new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: APPLICATION_ARN,
+      retry: retry,
+      sns: fake
+    });
+  }
+
+  it('Should not retry unless a retry policy is given', function() {
+    fake.injectError('publish', 'Throttling');
+
+    return createInterface().sendMessage(endpointArn, 'Hi').then(null, function(err) {
+      assert.equal(err.code, 'Throttling');
+      assert.equal(calls, 1);
+    });
+  });
+
+  it('Should retry throttled and transient errors and emit retry', function() {
+    var sns = createInterface({baseDelay: 1})
+      , retries = [];
+
+    fake.injectError('publish', 'Throttling');
+    fake.injectError('publish', 'InternalError');
+    sns.on(SNS.EVENTS.RETRY, function(attempt, err, operation) {
+      retries.push([attempt, err.code, operation]);
+    });
+
+    return sns.sendMessage(endpointArn, 'Hi').then(function(messageId) {
+      assert.equal(messageId, fake.published[0].MessageId);
+      assert.equal(calls, 3);
+      assert.deepEqual(retries, [
+        [1, 'Throttling', 'publish'],
+        [2, 'InternalError', 'publish']
+      ]);
+    });
+  });
+
+  it('Should give up after maxAttempts', function() {
+    var sns = createInterface({maxAttempts: 2, baseDelay: 1});
+
+    fake.injectError('publish', 'Throttling', {times: 2});
+
+    return sns.sendMessage(endpointArn, 'Hi').then(null, function(err) {
+      assert.equal(err.code, 'Throttling');
+      assert.equal(calls, 2);
+    });
+  });
+
+  it('Should not retry other errors', function() {
+    var sns = createInterface(true);
+
+    fake.injectError('publish', 'EndpointDisabled');
+
+    return sns.sendMessage(endpointArn, 'Hi').then(null, function(err) {
+      assert.equal(err.code, 'EndpointDisabled');
+      assert.equal(calls, 1);
+    });
+  });
+
+  it('Should grow delays exponentially up to maxDelay', function() {
+    var policy = new SNS.RetryPolicy({
+      baseDelay: 100,
+      maxDelay: 300,
+      jitter: false
+    });
+
+    assert.equal(policy.getDelay(1), 100);
+    assert.equal(policy.getDelay(2), 200);
+    assert.equal(policy.getDelay(3), 300);
+    assert(new SNS.RetryPolicy({baseDelay: 100}).getDelay(1) < 100);
+  });
+});
@@ -0,0 +1,208 @@
+var assert = require('assert'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  SNS = require('../lib/interface');
+
+describe('Scheduler.', function() {
+  var fake, sns, scheduler;
+
+  beforeEach(function() {
+    fake = new SNS.FakeSNS();
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp',
+      sns: fake
+    });
+    scheduler = new SNS.Scheduler({client: sns});
+  });
+
+  afterEach(function() {
+    scheduler.stop();
+  });
+
+  function waitFor(emitter, evt) {
+    return new Promise(function(resolve) {
+      emitter.once(evt, function() {
+        resolve(Array.prototype.slice.call(arguments));
+      });
+    });
+  }
+
+  it('Should send messages when they are due', function() {
+    var endpointArn;
+
+    return scheduler.start().then(function() {
+      return sns.addUser('token-1', null);
+    }).then(function(arn) {
+      endpointArn = arn;
+
+      return scheduler.schedule(endpointArn, 'Hi', Date.now() + 20);
+    }).then(function(job) {
+      assert.equal(job.target, endpointArn);
+      assert.equal(fake.published.length, 0);
+
+      return waitFor(scheduler, SNS.Scheduler.EVENTS.FIRED);
+    }).then(function(args) {
+      assert.equal(args[1], fake.published[0].MessageId);
+      assert.equal(fake.getDeliveries(endpointArn).length, 1);
+
+      return scheduler.list();
+    }).then(function(jobs) {
+      assert.deepEqual(jobs, []);
+    });
+  });
+
+  it('Should publish to topics and broadcast', function() {
+    var fired = [];
+
+    scheduler.on(SNS.Scheduler.EVENTS.FIRED, function(job, res) {
+      fired.push([job.target, res]);
+    });
+
+    return sns.createTopic('offers').then(function(topicArn) {
+      return Promise.all([
+        scheduler.schedule(topicArn, {default: 'Hi'}, new Date()),
+        scheduler.schedule(SNS.Scheduler.BROADCAST, 'Hi', new Date(), {
+          concurrency: 1
+        })
+      ]);
+    }).then(function() {
+      return scheduler.start();
+    }).then(function(jobs) {
+      assert.equal(jobs.length, 2);
+
+      return waitFor(scheduler, SNS.Scheduler.EVENTS.FIRED);
+    }).then(function() {
+      return fired.length < 2 && waitFor(scheduler, SNS.Scheduler.EVENTS.FIRED);
+    }).then(function() {
+      var report = fired.filter(function(entry) {
+        return entry[0] === SNS.Scheduler.BROADCAST;
+      })[0][1];
+
+      assert.equal(report.attempted, 0);
+      assert.equal(fake.published[0].MessageStructure, 'json');
+    });
+  });
+
+  it('Should cancel and list jobs', function() {
+    var cancelled, first;
+
+    scheduler.on(SNS.Scheduler.EVENTS.CANCELLED, function(job) {
+      cancelled = job;
+    });
+
+    return scheduler.schedule('arn:topic', {default: 'Later'}, Date.now() + 60000)
+      .then(function(job) {
+        first = job;
+
+        return scheduler.schedule('arn:topic', {default: 'Soon'}, Date.now() + 1000);
+      }).then(function() {
+        return scheduler.list();
+      }).then(function(jobs) {
+        assert.deepEqual(jobs.map(function(job) {
+          return job.message.default;
+        }), ['Soon', 'Later']);
+
+        return scheduler.cancel(first.id);
+      }).then(function(job) {
+        assert.deepEqual(job, first);
+        assert.deepEqual(cancelled, first);
+
+        return scheduler.cancel(first.id);
+      }).then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        assert.equal(err.message, 'Job "' + first.id + '" does not exist.');
+      });
+  });
+
+  it('Should validate jobs', function() {
+    return scheduler.schedule('arn:topic', 'Hi', 'tomorrow').then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'Argument "sendAt" must be a Date or a time ' +
+        'in milliseconds.');
+    });
+  });
+
+  it('Should reject bad messages and targets', function() {
+    var topicArn = 'arn:aws:sns:us-east-1:123456789012:offers';
+
+    return scheduler.schedule(topicArn, null, Date.now()).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'Argument "message" must be in SNS ' +
+        'multi-platform publishing format to publish to a topic.');
+
+      return scheduler.schedule(SNS.Scheduler.BROADCAST, null, Date.now());
+    }).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'Argument "message" must be a String, ' +
+        'Object or MessageBuilder.');
+
+      return scheduler.schedule('timezone:Europe/Nowhere', 'Hi', Date.now());
+    }).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'Target "timezone:Europe/Nowhere" has an ' +
+        'invalid timezone, "Europe/Nowhere".');
+      return scheduler.list();
+    }).then(function(jobs) {
+      assert.deepEqual(jobs, []);
+    });
+  });
+
+  it('Should emit errors thrown when a job fires', function() {
+    var topicArn = 'arn:aws:sns:us-east-1:123456789012:offers';
+
+    sns.publishToTopic = function() {
+      throw new Error('Boom');
+    };
+
+    return scheduler.schedule(topicArn, {default: 'Hi'}, Date.now())
+      .then(function() {
+        return scheduler.start();
+      }).then(function() {
+        return waitFor(scheduler, SNS.Scheduler.EVENTS.FIRE_FAILED);
+      }).then(function(args) {
+        assert.equal(args[0].target, topicArn);
+        assert.equal(args[1].message, 'Boom');
+      });
+  });
+
+  it('Should keep jobs in a file across restarts', function() {
+    var file = path.join(os.tmpdir(), 'sns-mobile-jobs-' + process.pid + '.json')
+      , first = new SNS.Scheduler({
+        client: sns,
+        store: new SNS.FileJobStore(file)
+      })
+      , restarted;
+
+    // Load the job from the file with a new scheduler, as if the process had
+    // restarted before it was due
+    return first.schedule('arn:other', {default: 'Hi'}, Date.now() - 1000, {
+      messageAttributes: {locale: 'de'}
+    }).then(function(job) {
+      assert.equal(fs.existsSync(file), true);
+
+      restarted = new SNS.Scheduler({
+        client: sns,
+        store: new SNS.FileJobStore(file)
+      });
+
+      return Promise.all([
+        waitFor(restarted, SNS.Scheduler.EVENTS.FIRE_FAILED),
+        restarted.start()
+      ]).then(function(res) {
+        assert.equal(res[0][0].id, job.id);
+        assert.equal(res[0][1].code, 'NotFound');
+        assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {});
+      });
+    }).then(function() {
+      restarted.stop();
+      fs.unlinkSync(file);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+var assert = require('assert'),
+  async = require('async'),
+  SNS = require('../lib/interface');
+
+var APPLICATION_ARN = 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp';
+
+describe('sendToMatching.', function() {
+  var fake, sns, endpoints;
+
+  // Two pages of endpoints, the fourth disabled and the fifth with data
+  // that isn't JSON
+  beforeEach(function(done) {
+    var data = [
+      {locale: 'de', appVersion: '3.10'},
+      {locale: 'de', appVersion: '3.1'},
+      {locale: 'en', appVersion: '4.0'},
+      {locale: 'de', appVersion: '3.2'},
+      'not json'
+    ];
+
+    fake = new SNS.FakeSNS({pageSize: 3});
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: APPLICATION_ARN,
+      sns: fake
+    });
+
+    async.mapSeries(data, function(userData, cb) {
+      fake.createPlatformEndpoint({
+        PlatformApplicationArn: APPLICATION_ARN,
+        Token: 'token-' + data.indexOf(userData),
+        CustomUserData: typeof userData === 'string' ?
+          userData : JSON.stringify(userData)
+      }, function(err, res) {
+        cb(err, res && res.EndpointArn);
+      });
+    }, function(err, endpointArns) {
+      endpoints = endpointArns;
+      if (!err) {
+        fake.disableEndpoint(endpoints[3]);
+      }
+      done(err);
+    });
+  });
+
+  function getSent() {
+    return fake.published.map(function(published) {
+      return published.TargetArn;
+    });
+  }
+
+  it('Should send to endpoints matching a query', function() {
+    return sns.sendToMatching({locale: 'de', appVersion: {$gte: '3.2'}}, 'Hallo')
+      .then(function(report) {
+        assert.deepEqual(getSent(), [endpoints[0]]);
+        assert.equal(report.attempted, 1);
+        assert.deepEqual(report.sent, [{
+          EndpointArn: endpoints[0],
+          MessageId: fake.published[0].MessageId
+        }]);
+      });
+  });
+
+  it('Should support query operators', function() {
+    return sns.sendToMatching({
+      locale: {$in: ['en', 'fr']},
+      appVersion: {$exists: true, $ne: '3.1'}
+    }, 'Hello').then(function() {
+      assert.deepEqual(getSent(), [endpoints[2]]);
+    });
+  });
+
+  it('Should send to endpoints matching a predicate', function() {
+    return sns.sendToMatching(function(endpoint) {
+      return typeof endpoint.CustomUserData === 'string';
+    }, 'Hello').then(function() {
+      assert.deepEqual(getSent(), [endpoints[4]]);
+    });
+  });
+
+  it('Should only include disabled endpoints if asked to', function() {
+    return sns.sendToMatching({Enabled: false}, 'Hello').then(function(report) {
+      assert.equal(report.attempted, 0);
+
+      return sns.sendToMatching({Enabled: false}, 'Hello', {includeDisabled: true});
+    }).then(function(report) {
+      // SNS rejects messages to the disabled endpoint, but it was matched
+      assert.equal(report.attempted, 1);
+      assert.equal(report.failures[0].EndpointArn, endpoints[3]);
+      assert.equal(report.failures[0].code, 'EndpointDisabled');
+    });
+  });
+
+  it('Should reject unsupported operators', function() {
+    return sns.sendToMatching({locale: {$like: 'd%'}}, 'Hello').then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'Unsupported query operator "$like".');
+      assert.deepEqual(getSent(), []);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('SMS.', function() {
+  var calls, sns;
+
+  beforeEach(function() {
+    calls = {};
+
+    function record(operation, res) {
+      return function(params, callback) {
+        calls[operation] = (calls[operation] || []).concat(params);
+        callback(null, typeof res === 'function' ? res(params) : res || {});
+      };
+    }
+
+    sns = new SNS({
+      platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+      platformApplicationArn: 'arn:app',
+      sns: {
+        createPlatformEndpoint: function() {},
+        getEndpointAttributes: function() {},
+        publish: record('publish', {MessageId: 'id'}),
+        getSMSAttributes: record('getSMSAttributes', {
+          attributes: {DefaultSMSType: 'Transactional'}
+        }),
+        setSMSAttributes: record('setSMSAttributes'),
+        checkIfPhoneNumberIsOptedOut: record('checkIfPhoneNumberIsOptedOut', {
+          isOptedOut: true
+        }),
+        listPhoneNumbersOptedOut: record('listPhoneNumbersOptedOut', function(params) {
+          return params.nextToken ?
+            {phoneNumbers: ['+15550100']} :
+            {phoneNumbers: ['+353861234567'], nextToken: 'next'};
+        }),
+        optInPhoneNumber: record('optInPhoneNumber')
+      }
+    });
+  });
+
+  it('Should send SMS messages', function() {
+    var sent;
+
+    sns.on(SNS.EVENTS.SENT_SMS, function(phoneNumber, messageId) {
+      sent = [phoneNumber, messageId];
+    });
+
+    return sns.sendSms('+353861234567', 'Your code is 1234', {
+      senderId: 'MyApp',
+      smsType: 'Transactional',
+      maxPrice: 0.5
+    }).then(function(messageId) {
+      assert.equal(messageId, 'id');
+      assert.deepEqual(sent, ['+353861234567', 'id']);
+      assert.deepEqual(calls.publish[0], {
+        PhoneNumber: '+353861234567',
+        Message: 'Your code is 1234',
+        MessageAttributes: {
+          'AWS.SNS.SMS.SenderID': {DataType: 'String', StringValue: 'MyApp'},
+          'AWS.SNS.SMS.SMSType': {DataType: 'String', StringValue: 'Transactional'},
+          'AWS.SNS.SMS.MaxPrice': {DataType: 'Number', StringValue: '0.5'}
+        }
+      });
+    });
+  });
+
+  it('Should reject invalid phone numbers and options', function() {
+    var failed;
+
+    sns.on(SNS.EVENTS.SEND_SMS_FAILED, function(phoneNumber) {
+      failed = phoneNumber;
+    });
+
+    return sns.sendSms('0861234567', 'Hi').then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'Phone number "0861234567" must be in E.164 ' +
+        'format, e.g. +353861234567.');
+      assert.equal(failed, '0861234567');
+
+      return sns.sendSms('+353861234567', 'Hi', {smsType: 'Urgent'});
+    }).then(function() {
+      throw new Error('Expected a rejection');
+    }, function(err) {
+      assert.equal(err.message, 'SMS option "smsType" must be "Promotional" or ' +
+        '"Transactional".');
+      assert.equal(calls.publish, undefined);
+    });
+  });
+
+  it('Should get and set SMS attributes', function() {
+    return sns.getSmsAttributes(['DefaultSMSType']).then(function(attributes) {
+      assert.deepEqual(attributes, {DefaultSMSType: 'Transactional'});
+      assert.deepEqual(calls.getSMSAttributes[0], {attributes: ['DefaultSMSType']});
+
+      return sns.setSmsAttributes({MonthlySpendLimit: 10});
+    }).then(function(attributes) {
+      assert.deepEqual(attributes, {MonthlySpendLimit: '10'});
+    });
+  });
+
+  it('Should manage opted out phone numbers', function() {
+    var optedIn;
+
+    sns.on(SNS.EVENTS.OPTED_IN, function(phoneNumber) {
+      optedIn = phoneNumber;
+    });
+
+    return sns.checkIfPhoneNumberIsOptedOut('+353861234567').then(function(optedOut) {
+      assert.strictEqual(optedOut, true);
+
+      return sns.listPhoneNumbersOptedOut();
+    }).then(function(phoneNumbers) {
+      assert.deepEqual(phoneNumbers, ['+353861234567', '+15550100']);
+
+      return sns.optInPhoneNumber('+353861234567');
+    }).then(function() {
+      assert.equal(optedIn, '+353861234567');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+var assert = require('assert'),
+  SNS = require('../lib/interface');
+
+describe('Templates.', function() {
+  var fake, templates;
+
+  beforeEach(function() {
+    fake = new SNS.FakeSNS();
+    templates = new SNS.TemplateRegistry({defaultLocale: 'en'}).define('sale', {
+      en: {
+        message: 'Hi {{name}}, {{ discount }}% off today',
+        opts: {title: 'Sale', data: {url: 'https://example.com/{{locale}}'}},
+        platforms: {
+          IOS: {opts: {title: 'Sale!', badge: 1}}
+        }
+      },
+      de: {
+        message: 'Hallo {{name}}, heute {{discount}}% Rabatt'
+      }
+    });
+  });
+
+  function createInterface(platform) {
+    return new SNS({
+      platform: platform,
+      platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:app/' +
+        platform + '/MyApp',
+      templates: templates,
+      sns: fake
+    });
+  }
+
+  it('Should render variants by locale and platform', function() {
+    var rendered = templates.render('sale', 'en-GB', 'IOS', {
+      name: 'Ann',
+      discount: 20,
+      locale: 'en-GB'
+    });
+
+    assert.deepEqual(rendered, {
+      locale: 'en',
+      message: 'Hi Ann, 20% off today',
+      opts: {title: 'Sale!', badge: 1, data: {url: 'https://example.com/en-GB'}}
+    });
+    assert.equal(templates.render('sale', 'de_AT', 'ANDROID', {
+      name: 'Jan',
+      discount: 10
+    }).message, 'Hallo Jan, heute 10% Rabatt');
+    assert.equal(templates.render('sale', 'fr', 'ANDROID', {
+      name: 'Luc',
+      discount: 5,
+      locale: 'fr'
+    }).locale, 'en');
+  });
+
+  it('Should report missing variables, locales and templates', function() {
+    assert.throws(function() {
+      templates.render('sale', 'de', 'IOS', {name: 'Jan'});
+    }, function(err) {
+      return err.code === 'MissingVariable' &&
+        err.message === 'Template "sale" (de) is missing variable "discount".';
+    });
+    assert.throws(function() {
+      new SNS.TemplateRegistry().define('sale', {de: {message: 'Hallo'}})
+        .render('sale', 'fr', 'IOS', {});
+    }, function(err) {
+      return err.code === 'MissingLocale' &&
+        err.message === 'Template "sale" has no variant for locale "fr" and ' +
+          'no variant for the default locale.';
+    });
+    assert.throws(function() {
+      templates.render('welcome', 'en', 'IOS', {});
+    }, /Template "welcome" does not exist./);
+  });
+
+  it('Should send templates using endpoint data', function() {
+    var sns = createInterface(SNS.SUPPORTED_PLATFORMS.IOS);
+
+    return sns.addUser('token-1', '{"name":"Jan","locale":"de"}').then(function(arn) {
+      return sns.sendTemplate(arn, 'sale', {vars: {discount: 15}});
+    }).then(function() {
+      assert.deepEqual(JSON.parse(JSON.parse(fake.published[0].Message).APNS), {
+        aps: {alert: 'Hallo Jan, heute 15% Rabatt'}
+      });
+    });
+  });
+
+  it('Should broadcast templates rendered for each endpoint', function() {
+    var sns = createInterface(SNS.SUPPORTED_PLATFORMS.ANDROID);
+
+    return Promise.all([
+      sns.addUser('token-1', '{"name":"Jan","locale":"de"}'),
+      sns.addUser('token-2', '{"name":"Ann","locale":"en-US"}'),
+      sns.addUser('token-3', '{"locale":"en"}')
+    ]).then(function() {
+      return sns.broadcastTemplate('sale', {
+        vars: function(endpoint) {
+          return {
+            discount: endpoint.CustomUserData.locale === 'de' ? 10 : 20,
+            locale: endpoint.CustomUserData.locale
+          };
+        }
+      });
+    }).then(function(report) {
+      assert.equal(report.succeeded, 2);
+      assert.equal(report.failures[0].code, 'MissingVariable');
+      assert.deepEqual(fake.published.map(function(published) {
+        return JSON.parse(JSON.parse(published.Message).GCM).data.message;
+      }).sort(), ['Hallo Jan, heute 10% Rabatt', 'Hi Ann, 20% off today']);
+    });
+  });
+});
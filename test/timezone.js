@@ -0,0 +1,249 @@
+var assert = require('assert'),
+  timezone = require('../lib/timezone'),
+  SNS = require('../lib/interface');
+
+describe('Timezones.', function() {
+  var nine = {hours: 9, minutes: 0};
+
+  it('Should find the next local time in a timezone', function() {
+    var now = Date.UTC(2026, 2, 28, 12, 0);
+
+    assert.equal(new Date(timezone.getNextTime('America/New_York', nine, now))
+      .toISOString(), '2026-03-28T13:00:00.000Z');
+    assert.equal(new Date(timezone.getNextTime('Asia/Kolkata', nine, now))
+      .toISOString(), '2026-03-29T03:30:00.000Z');
+    // Summer time starts in Dublin overnight
+    assert.equal(new Date(timezone.getNextTime('Europe/Dublin', nine, now))
+      .toISOString(), '2026-03-29T08:00:00.000Z');
+    assert.equal(new Date(timezone.getNextTime('Europe/Dublin', nine, now, true))
+      .toISOString(), '2026-03-28T09:00:00.000Z');
+  });
+
+  it('Should move local times that are skipped by DST past the gap',
+    function() {
+      var halfPastOne = {hours: 1, minutes: 30}
+        , halfPastTwo = {hours: 2, minutes: 30};
+
+      // 02:30 doesn't exist in New York on 8 March, so send at 03:30 EDT
+      assert.equal(new Date(timezone.getNextTime('America/New_York',
+        halfPastTwo, Date.UTC(2026, 2, 8, 0, 0))).toISOString(),
+        '2026-03-08T07:30:00.000Z');
+      // 01:30 doesn't exist in Dublin on 29 March, so send at 02:30 IST
+      assert.equal(new Date(timezone.getNextTime('Europe/Dublin',
+        halfPastOne, Date.UTC(2026, 2, 28, 23, 0))).toISOString(),
+        '2026-03-29T01:30:00.000Z');
+    });
+
+  it('Should validate timezones and local times', function() {
+    assert.equal(timezone.isValid('Europe/Dublin'), true);
+    assert.equal(timezone.isValid('Europe/Nowhere'), false);
+    assert.equal(timezone.isValid(undefined), false);
+    assert.deepEqual(timezone.parseLocalTime('7:05'), {hours: 7, minutes: 5});
+    assert.throws(function() {
+      timezone.parseLocalTime('25:00');
+    }, /Local time "25:00" must be in HH:mm format/);
+  });
+
+  describe('broadcastAtLocalTime.', function() {
+    var now = Date.now
+      , fake, sns;
+
+    afterEach(function() {
+      Date.now = now;
+    });
+
+    beforeEach(function() {
+      fake = new SNS.FakeSNS({pageSize: 2});
+      sns = new SNS({
+        platform: SNS.SUPPORTED_PLATFORMS.ANDROID,
+        platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:app/GCM/MyApp',
+        sns: fake
+      });
+
+      return Promise.all([
+        sns.addUser('a', '{"timezone":"Europe/Dublin"}'),
+        sns.addUser('b', '{"timezone":"America/New_York"}'),
+        sns.addUser('c', '{"timezone":"Mars/Olympus_Mons"}'),
+        sns.addUser('d', null),
+        sns.addUser('e', '{"timezone":"Europe/Dublin"}'),
+        sns.addUser('f', '{"timezone":"Europe/Lisbon"}')
+      ]);
+    });
+
+    it('Should schedule a job for each timezone group', function() {
+      var scheduler = new SNS.Scheduler({client: sns})
+        , scheduled = {}
+        , sent = [];
+
+      sns.on(SNS.EVENTS.TIMEZONE_GROUP_SCHEDULED,
+        function(timezones, sendAt, count) {
+          scheduled[timezones.join(',')] = count;
+        });
+      sns.on(SNS.EVENTS.TIMEZONE_GROUP_SENT, function(timezones, report) {
+        sent.push(report);
+      });
+
+      return sns.broadcastAtLocalTime('Morning!', '00:00', {
+        scheduler: scheduler,
+        fallbackTimezone: 'Asia/Tokyo',
+        sendLate: true
+      }).then(function(rollout) {
+        assert.deepEqual(scheduled, {
+          'Europe/Dublin,Europe/Lisbon': 3,
+          'America/New_York': 1,
+          'Asia/Tokyo': 2
+        });
+        assert.equal(rollout.localTime, '00:00');
+        assert.equal(rollout.groups.length, 3);
+        assert.equal(fake.published.length, 0);
+
+        return new Promise(function(resolve) {
+          scheduler.on(SNS.Scheduler.EVENTS.FIRED, function() {
+            if (sent.length === 3) {
+              resolve();
+            }
+          });
+          scheduler.start(function() {});
+        });
+      }).then(function() {
+        scheduler.stop();
+        assert.deepEqual(sent.map(function(report) {
+          return report.timezones.join(',') + ':' + report.succeeded;
+        }).sort(), [
+          'America/New_York:1',
+          'Asia/Tokyo:2',
+          'Europe/Dublin,Europe/Lisbon:3'
+        ]);
+        assert.equal(fake.published.length, 6);
+      });
+    });
+
+    it('Should send each timezone group once its local time is due',
+      function() {
+        var scheduler = new SNS.Scheduler({client: sns})
+          , list = fake.listEndpointsByPlatformApplication
+          , listCalls = 0
+          , sendAt = {};
+
+        fake.listEndpointsByPlatformApplication = function() {
+          listCalls++;
+          return list.apply(fake, arguments);
+        };
+
+        // 08:00 in Dublin, 03:00 in New York and 17:00 in Tokyo
+        Date.now = function() {
+          return Date.UTC(2026, 5, 1, 7, 0);
+        };
+
+        return scheduler.start().then(function() {
+          return sns.broadcastAtLocalTime('Morning!', '09:00', {
+            scheduler: scheduler,
+            fallbackTimezone: 'Asia/Tokyo'
+          });
+        }).then(function(rollout) {
+          rollout.groups.forEach(function(group) {
+            sendAt[group.timezones.join(',')] =
+              new Date(group.sendAt).toISOString();
+          });
+          assert.deepEqual(sendAt, {
+            // Same offset, so sent to in one job
+            'Europe/Dublin,Europe/Lisbon': '2026-06-01T08:00:00.000Z',
+            'America/New_York': '2026-06-01T13:00:00.000Z',
+            // Already passed and sendLate isn't set, so tomorrow
+            'Asia/Tokyo': '2026-06-02T00:00:00.000Z'
+          });
+          scheduler.stop();
+          assert.equal(fake.published.length, 0);
+          listCalls = 0;
+
+          // Restart once Dublin and New York are due
+          Date.now = function() {
+            return Date.UTC(2026, 5, 1, 13, 0);
+          };
+
+          return new Promise(function(resolve, reject) {
+            var fired = [];
+
+            scheduler.on(SNS.Scheduler.EVENTS.FIRE_FAILED, function(job, err) {
+              reject(err);
+            });
+            scheduler.on(SNS.Scheduler.EVENTS.FIRED, function(job, report) {
+              fired.push(report.timezones.join(','));
+
+              if (fired.length === 2) {
+                resolve(fired);
+              }
+            });
+            scheduler.start(function() {});
+          });
+        }).then(function(fired) {
+          assert.deepEqual(fired.sort(), [
+            'America/New_York',
+            'Europe/Dublin,Europe/Lisbon'
+          ]);
+          assert.equal(fake.published.length, 4);
+          // One pass over the three pages of endpoints for each job
+          assert.equal(listCalls, 6);
+          return scheduler.list();
+        }).then(function(jobs) {
+          scheduler.stop();
+          assert.deepEqual(jobs.map(function(job) {
+            return job.target;
+          }), ['timezone:Asia/Tokyo']);
+        });
+      });
+
+    it('Should cancel a rollout', function() {
+      var scheduler = new SNS.Scheduler({client: sns})
+        , groups;
+
+      return sns.broadcastAtLocalTime('Morning!', '09:00', {
+        scheduler: scheduler
+      }).then(function(rollout) {
+        groups = rollout.groups;
+        return scheduler.cancelRollout(rollout.id);
+      }).then(function(jobs) {
+        assert.deepEqual(jobs.map(function(job) {
+          return job.id;
+        }).sort(), groups.map(function(group) {
+          return group.jobId;
+        }).sort());
+        return scheduler.list();
+      }).then(function(jobs) {
+        assert.equal(jobs.length, 0);
+      });
+    });
+
+    it('Should reject invalid options', function() {
+      return sns.broadcastAtLocalTime('Morning!', '09:00', {
+        scheduler: new SNS.Scheduler({client: sns}),
+        fallbackTimezone: 'Nowhere'
+      }).then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        assert.equal(err.message, 'Option "fallbackTimezone" must be a ' +
+          'timezone such as Europe/Dublin, got "Nowhere".');
+        assert.equal(fake.published.length, 0);
+        return sns.broadcastAtLocalTime('Morning!', '09:00');
+      }).then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        assert.equal(err.message, 'Option "scheduler" must be a Scheduler, ' +
+          'which sends each timezone at its local time.');
+        return sns.broadcastAtLocalTime('Morning!', '09:00', {
+          scheduler: new SNS.Scheduler({client: new SNS({
+            platform: SNS.SUPPORTED_PLATFORMS.IOS,
+            platformApplicationArn: 'arn:aws:sns:us-east-1:123456789012:' +
+              'app/APNS/OtherApp',
+            sns: fake
+          })})
+        });
+      }).then(function() {
+        throw new Error('Expected a rejection');
+      }, function(err) {
+        assert.equal(err.message, 'Option "scheduler" must send through the ' +
+          'instance broadcastAtLocalTime is called on.');
+      });
+    });
+  });
+});